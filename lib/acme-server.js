@@ -1,23 +1,56 @@
 'use strict';
 
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
 const uuid = require('node-uuid');
+const jose = require('node-jose');
 const pki = require('./pki');
+const identifier = require('./identifier');
+const problem = require('./problem');
+const IdentifierPolicy = require('./identifier-policy');
+const CertificateProfile = require('./certificate-profile');
+const OCSPResponder = require('./ocsp');
+const CRLIssuer = require('./crl');
+const Jose = require('./jose');
+const ValidationQueue = require('./validation-queue');
+const ValidationRegistry = require('./validation-registry');
+const MemoryStorage = require('./memory-storage');
 const TransportServer = require('./transport-server');
 
 const DIRECTORY_TEMPLATE = {
-  'directory': '/directory',
-  'newAccount':   '/new-acct',
-  'newOrder':  '/new-app',
-  'newReg':  '/new-cert',
-  'newAuthz': '/new-authz',
-  'newNonce': '/new-nonce',
+  'directory':   '/directory',
+  'newAccount':  '/new-acct',
+  'newOrder':    '/new-app',
+  'newReg':      '/new-cert',
+  'newAuthz':    '/new-authz',
+  'newNonce':    '/new-nonce',
+  'revokeCert':  '/revoke-cert',
+  'keyChange':   '/key-change',
+  'renewalInfo': '/renewal-info'
 };
 
+// CRLReason values from RFC 5280; 7 is unused
+const REVOCATION_REASONS = [0, 1, 2, 3, 4, 5, 6, 8, 9, 10];
+
+const MAC_KEY_BYTES = 32;
+const ORDERS_PAGE_SIZE = 100;
+const ORDER_EXPIRY_SECONDS = 7 * 24 * 3600;
+const AUTHZ_EXPIRY_SECONDS = 30 * 24 * 3600;
+const ISSUANCE_ATTEMPTS = 3;
+const OCSP_PATH = '/ocsp';
+const CRL_PATH = '/crl';
+const RENEWAL_INFO_RETRY_SECONDS = 6 * 3600;
+const FORCED_RENEWAL_SECONDS = 3600;
+
 // * Class per object type
 // * Each object has static type() method
 // * Each object has an ID field.
-//  * For registrations, this is thumbprint of the acct key
+//  * For registrations, this is thumbprint of the key the account was created
+//    with.  It stays the same when the key changes, and other objects refer to
+//    their account by it.
 // * Format of URLs is $BASE/$TYPE/$ID
+// * Each object serializes to the record that is kept in storage, and has a
+//   static revive() method that rebuilds it from that record
 
 function select(obj, fields) {
   let out = {};
@@ -29,11 +62,27 @@ function select(obj, fields) {
   return out;
 }
 
+// Unlike select(), keeps falsy values such as a revocation reason of 0
+function record(obj, fields) {
+  let out = {};
+  for (let field of fields) {
+    if (obj[field] !== undefined) {
+      out[field] = obj[field];
+    }
+  }
+  return out;
+}
+
+function fromRecord(Class, rec) {
+  return Object.assign(Object.create(Class.prototype), rec);
+}
+
 class Registration {
   constructor(id, jwk, contact) {
     this.id = id;
-    this.status = 'good';
+    this.status = 'valid';
     this.key = jwk;
+    this.thumbprint = id;
     this.contact = contact;
   }
 
@@ -44,14 +93,70 @@ class Registration {
   marshal() {
     return select(this, Registration.publicFields);
   }
+
+  toJSON() {
+    return record(this, Registration.recordFields);
+  }
+
+  // The key comes back as a JWK object rather than a key
+  static revive(server, rec) {
+    let reg = fromRecord(Registration, rec);
+    reg.orders = server.makeURL(reg) + '/orders';
+    return reg;
+  }
 }
 
 Registration.type = 'reg';
+Registration.isActive = function(reg) {
+  return (reg.status !== 'deactivated') && (reg.status !== 'revoked');
+};
 Registration.publicFields = [
   'key',
   'status',
   'contact',
-  'agreement'
+  'agreement',
+  'externalAccountBinding',
+  'orders'
+];
+Registration.recordFields = [
+  'id',
+  'status',
+  'key',
+  'thumbprint',
+  'contact',
+  'agreement',
+  'externalAccountBinding'
+];
+
+// Credentials that the CA hands out of band to the holders of accounts it
+// knows about, so that they can bind an ACME account to theirs.  They have no
+// public form, and bind a single ACME account.
+class ExternalAccount {
+  constructor(id, macKey) {
+    this.id = id;
+    this.macKey = macKey;
+    this.status = 'valid';
+  }
+
+  type() {
+    return ExternalAccount.type;
+  }
+
+  toJSON() {
+    return record(this, ExternalAccount.recordFields);
+  }
+
+  static revive(server, rec) {
+    return fromRecord(ExternalAccount, rec);
+  }
+}
+
+ExternalAccount.type = 'eab';
+ExternalAccount.recordFields = [
+  'id',
+  'macKey',
+  'status',
+  'account'
 ];
 
 class Application {
@@ -61,51 +166,124 @@ class Application {
     this.status = 'pending';
     this.url = server.makeURL(this);
     this.thumbprint = thumbprint;
+    this.identifiers = [];
     this.requirements = [];
+
+    let expires = new Date();
+    expires.setTime(expires.getTime() + server.policy.orderExpirySeconds * 1000);
+    this.expires = expires;
   }
 
   type() {
     return Application.type;
   }
 
-  markAsReady() {
-    if (this.status == 'pending') {
-      let unfulfilled = this.requirements.filter(req => (req.status !== 'valid'));
-      if (unfulfilled.length === 0) {
-        this.status = 'ready';
-      }
+  // Moves an application that is waiting on its authorizations along:
+  // * to invalid once it expires, or one of its authorizations fails, expires,
+  //   is deactivated or no longer exists
+  // * to ready once all of its authorizations are valid
+  update() {
+    if (this.status !== 'pending' && this.status !== 'ready') {
+      return;
+    }
+
+    let failed = null;
+    this.requirements
+      .filter(req => (req.type === 'authorization'))
+      .forEach(req => {
+        // URLs end in the object's ID
+        let authz = this.server.db.get(Authorization.type, req.url.split('/').pop());
+        let reason;
+        if (!authz) {
+          reason = `Authorization ${req.url} no longer exists`;
+        } else {
+          authz.update();
+          req.status = authz.status;
+          reason = `Authorization for ${authz.name()} is ${authz.status}`;
+        }
+        if (!failed && (!authz || (req.status !== 'pending' && req.status !== 'valid'))) {
+          failed = reason;
+        }
+      });
+
+    if (failed) {
+      this.fail(problem('unauthorized', failed));
+    } else if (this.expires < new Date()) {
+      this.fail(problem('orderNotReady', 'Order expired before it was finalized'));
+    } else if (this.requirements.every(req => (req.status === 'valid'))) {
+      this.status = 'ready';
     }
   }
 
+  fail(error) {
+    this.status = 'invalid';
+    this.error = error;
+  }
+
   marshal() {
     this.authorizations = this.requirements.map(r => r.url)
     this.finalize = this.url + '/finalize'
     return select(this, Application.publicFields);
   }
+
+  toJSON() {
+    return record(this, Application.recordFields);
+  }
+
+  static revive(server, rec) {
+    let app = fromRecord(Application, rec);
+    app.server = server;
+    app.expires = new Date(rec.expires);
+    return app;
+  }
 }
 
 Application.type = 'app';
 Application.publicFields = [
   'status',
   'expires',
+  'identifiers',
   'notBefore',
   'notAfter',
   'requirements',
   'authorizations',
   'certificate',
   'finalize',
+  'error',
+  'replaces'
+];
+Application.recordFields = [
+  'id',
+  'status',
+  'url',
+  'thumbprint',
+  'identifiers',
+  'requirements',
+  'expires',
+  'notBefore',
+  'notAfter',
+  'certificate',
+  'error',
+  'csr',
+  'replaces'
 ];
 
 class Authorization {
-  constructor(server, thumbprint, name, scope) {
+  // An authorization for a wildcard name is for the name it covers, marked
+  // as a wildcard, and can only be validated with challenges that support
+  // wildcards (RFC 8555 section 7.1.4)
+  constructor(server, reg, id, scope) {
     this.id = uuid.v4();
     this.status = 'pending';
     this.url = server.makeURL(this);
-    this.thumbprint = thumbprint;
+    this.thumbprint = reg.id;
     this.identifier = {
-      type:  'dns',
-      value: name
+      type:  id.type,
+      value: identifier.baseName(id.value)
     };
+    if (identifier.isWildcard(id.value)) {
+      this.wildcard = true;
+    }
     this.scope = scope;
 
     let offset = server.policy.authzExpirySeconds * 1000;
@@ -113,30 +291,16 @@ class Authorization {
     expires.setTime(expires.getTime() + offset);
     this.expires = expires;
 
-    this.challengeObj = [];
-    if (server.policy.challenges.http) {
-      // TODO add an HTTP challenge
-    }
-    if (server.policy.challenges.dns) {
-      // TODO add a DNS challenge
-    }
-    if (server.policy.challenges.tlssni) {
-      // TODO add a TLS-SNI challenge
-    }
-    if (server.policy.challenges.auto) {
-      // XXX: Non-spec; this challenge auto-completes whenever it gets a POST,
-      // with no validation.  Useful mainly for testing.
-      // XXX: This should get factored out into its own thing, for parallelism.
-      this.challengeObj.push({
-        type:   'auto',
-        status: 'pending',
-        update: function() { this.status = 'valid'; return Promise.resolve(); },
-        toJSON: function() { return {type: this.type, status: this.status}; }
-      });
-    }
+    this.challengeObj = server.validators.create(server.policy.challenges,
+                                                 id.value, reg.thumbprint);
     this.update();
   }
 
+  // The name as ordered, including any wildcard label
+  name() {
+    return (this.wildcard? '*.' : '') + this.identifier.value;
+  }
+
   update() {
     this.challenges = this.challengeObj.map((x, i) => {
       let obj = x.toJSON();
@@ -144,12 +308,20 @@ class Authorization {
       return obj;
     });
 
+    // Only pending authorizations change with their challenges, and only
+    // pending or valid ones expire
     let now = new Date();
+    let pending = (this.status === 'pending');
     let validChallenges = this.challenges.filter(x => (x.status === 'valid'));
-    if (this.expires < now) {
-      this.status = 'invalid';
-    } else if (validChallenges.length > 0) {
-      this.status = 'valid';
+    let invalidChallenges = this.challenges.filter(x => (x.status === 'invalid'));
+    if (pending || this.status === 'valid') {
+      if (this.expires < now) {
+        this.status = 'invalid';
+      } else if (pending && validChallenges.length > 0) {
+        this.status = 'valid';
+      } else if (pending && invalidChallenges.length > 0) {
+        this.status = 'invalid';
+      }
     }
   }
 
@@ -169,46 +341,242 @@ class Authorization {
       url:    this.url
     };
   }
+
+  // Challenges are stored with their full state, not just their public fields
+  toJSON() {
+    let rec = record(this, Authorization.recordFields);
+    rec.challengeObj = this.challengeObj.map(x => Object.assign({}, x));
+    return rec;
+  }
+
+  static revive(server, rec) {
+    let authz = fromRecord(Authorization, rec);
+
+    // A record saved without an expiry is taken to have expired
+    authz.expires = new Date(rec.expires || 0);
+    authz.challengeObj = rec.challengeObj.map(x => server.validators.revive(x));
+    authz.update();
+    return authz;
+  }
 }
 
 Authorization.type = 'authz';
 Authorization.publicFields = [
   'identifier',
+  'wildcard',
   'status',
   'expires',
   'scope',
   'challenges',
   'combinations'
 ];
+Authorization.recordFields = [
+  'id',
+  'status',
+  'url',
+  'thumbprint',
+  'identifier',
+  'wildcard',
+  'scope',
+  'expires'
+];
 
+// The record of an issued certificate, which is kept for as long as the
+// certificate might be revoked or have its status checked:
+// * thumbprint: The account that it was issued to
+// * order: URL of the order that it was issued for
+// * serialNumber: Lowercase hex, by which certificates are looked up
+// * names, notBefore, notAfter: What it is for, and when
 class Certificate {
-  constructor(server) {
+  constructor(server, thumbprint, order) {
     this.id = uuid.v4();
     this.url = server.makeURL(this);
+    this.thumbprint = thumbprint;
+    this.order = order;
+    this.status = 'valid';
   }
 
   type() {
     return Certificate.type;
   }
 
+  setBody(pem, names) {
+    this.body = pem;
+    this.der = pki.pemToDER(pem);
+    let info = pki.certificateInfo(this.der);
+    this.serialNumber = info.serialNumber;
+    this.notBefore = info.notBefore;
+    this.notAfter = info.notAfter;
+    this.names = names;
+  }
+
+  revoke(reason) {
+    this.status = 'revoked';
+    this.revocationReason = reason;
+    this.revokedAt = new Date();
+  }
+
+  // When ARI suggests renewing it, absent anything forcing an earlier window:
+  // right away once it is revoked, or else from two thirds to five sixths of
+  // the way through its validity period
+  renewalWindow() {
+    if (this.status === 'revoked') {
+      return {start: new Date(this.revokedAt.getTime() - 3600 * 1000), end: this.revokedAt};
+    }
+
+    let lifetime = this.notAfter.getTime() - this.notBefore.getTime();
+    return {
+      start: new Date(this.notBefore.getTime() + Math.floor(lifetime * 2 / 3)),
+      end:   new Date(this.notBefore.getTime() + Math.floor(lifetime * 5 / 6))
+    };
+  }
+
   marshal() {
     return this.body;
   }
+
+  toJSON() {
+    return record(this, Certificate.recordFields);
+  }
+
+  static revive(server, rec) {
+    let cert = fromRecord(Certificate, rec);
+    cert.der = pki.pemToDER(cert.body);
+    cert.notBefore = new Date(cert.notBefore);
+    cert.notAfter = new Date(cert.notAfter);
+    if (cert.revokedAt) {
+      cert.revokedAt = new Date(cert.revokedAt);
+    }
+    return cert;
+  }
 }
 
 Certificate.type = 'cert';
+Certificate.recordFields = [
+  'id',
+  'url',
+  'thumbprint',
+  'order',
+  'status',
+  'body',
+  'serialNumber',
+  'names',
+  'notBefore',
+  'notAfter',
+  'revocationReason',
+  'revokedAt'
+];
+
+const TYPES = [Registration, ExternalAccount, Application, Authorization, Certificate];
+
+// Lookups that the DB keeps indexes for, as functions from an object to the
+// key it is found under.  None of these keys change once an object is stored.
+const INDEXES = {
+  'authz': {
+    account:    authz => authz.thumbprint,
+    identifier: authz => authz.thumbprint + ' ' + authz.name()
+  },
+  'app': {
+    account: app => app.thumbprint
+  },
+  'cert': {
+    serialNumber: cert => cert.serialNumber
+  }
+};
 
+// Holds the server's objects, writing them through to a storage backend and
+// indexing them for the lookups the server makes
 class DB {
-  constructor() {
+  constructor(storage, reviver) {
+    this.storage = storage;
     this.store = {};
+    this.accounts = {};
+    this.indexes = {};
+
+    let records = storage.load();
+    for (let type in records) {
+      if (!records.hasOwnProperty(type)) {
+        continue;
+      }
+      for (let id in records[type]) {
+        if (records[type].hasOwnProperty(id)) {
+          this.add(reviver(type, records[type][id]));
+        }
+      }
+    }
   }
 
   put(obj) {
+    this.add(obj);
+    this.storage.save(obj.type(), obj.id, obj);
+  }
+
+  add(obj) {
     let type = obj.type();
     if (!this.store[type]) {
       this.store[type] = {};
     }
     this.store[type][obj.id] = obj;
+
+    // Index registrations by the thumbprint of their current key
+    if (type === Registration.type) {
+      this.accounts[obj.thumbprint || obj.id] = obj.id;
+    }
+
+    let indexes = INDEXES[type] || {};
+    for (let name in indexes) {
+      if (!indexes.hasOwnProperty(name)) {
+        continue;
+      }
+
+      let index = this.indexes[type + '.' + name];
+      if (!index) {
+        index = this.indexes[type + '.' + name] = {};
+      }
+      let key = indexes[name](obj);
+      if (!index[key]) {
+        index[key] = [];
+      }
+      if (index[key].indexOf(obj.id) < 0) {
+        index[key].push(obj.id);
+      }
+    }
+  }
+
+  // Returns the objects of a type that an index maps the key to
+  find(type, name, key) {
+    let index = this.indexes[type + '.' + name] || {};
+    return (index[key] || []).map(id => this.get(type, id));
+  }
+
+  all(type) {
+    let objs = this.store[type] || {};
+    return Object.keys(objs).map(id => objs[id]);
+  }
+
+  accountFor(thumbprint) {
+    let id = this.accounts[thumbprint];
+    if (!id) {
+      return null;
+    }
+    return this.get(Registration.type, id);
+  }
+
+  // Binds a registration to a new key, keeping its ID and thus everything
+  // that belongs to it.  Pending authorizations' challenges then expect key
+  // authorizations for the new key.
+  rekey(reg, jwk, thumbprint) {
+    delete this.accounts[reg.thumbprint || reg.id];
+    reg.key = jwk;
+    reg.thumbprint = thumbprint;
+    this.put(reg);
+
+    this.authzsFor(reg.id)
+      .filter(authz => (authz.status === 'pending'))
+      .forEach(authz => {
+        authz.challengeObj.forEach(challenge => challenge.rekey(thumbprint));
+        this.put(authz);
+      });
   }
 
   get(type, id) {
@@ -218,51 +586,74 @@ class DB {
     return this.store[type][id];
   }
 
+  // Only authorizations that can still be used are reused
   authzFor(thumbprint, name) {
-    for (let key in this.store['authz']) {
-      if (!this.store['authz'].hasOwnProperty(key)) {
-        continue;
-      }
-
-      let authz = this.store['authz'][key];
-      if ((authz.thumbprint === thumbprint) &&
-          (authz.identifier.value === name)) {
+    let authzs = this.find(Authorization.type, 'identifier', thumbprint + ' ' + name);
+    for (let authz of authzs) {
+      authz.update();
+      if (authz.status === 'pending' || authz.status === 'valid') {
         return authz;
       }
     }
     return null;
   }
 
-  updateAppsFor(authz) {
-    let dependencies = [];
-    for (let key in this.store['app']) {
-      if (!this.store['app'].hasOwnProperty(key)) {
-        continue;
-      }
+  authzsFor(thumbprint) {
+    return this.find(Authorization.type, 'account', thumbprint);
+  }
 
-      let app = this.store['app'][key];
-      if (app.thumbprint !== authz.thumbprint) {
-        continue;
-      }
+  // Applications come in the order they were created
+  appsFor(thumbprint) {
+    return this.find(Application.type, 'account', thumbprint);
+  }
 
-      app.requirements.map(req => {
-        if (req.type === 'authorization' && req.url === authz.url) {
-          req.status = authz.status;
-        }
-      });
-      this.put(app);
-      dependencies.push(app);
-    }
+  certificateFor(serialNumber) {
+    let certs = this.find(Certificate.type, 'serialNumber', serialNumber);
+    return certs[0] || null;
+  }
 
-    dependencies.forEach(app => app.markAsReady());
+  updateAppsFor(authz) {
+    this.appsFor(authz.thumbprint)
+      .filter(app => app.requirements.some(req => (req.type === 'authorization' &&
+                                                   req.url === authz.url)))
+      .forEach(app => {
+        app.requirements.forEach(req => {
+          if (req.type === 'authorization' && req.url === authz.url) {
+            req.status = authz.status;
+          }
+        });
+        app.update();
+        this.put(app);
+      });
     return Promise.resolve();
   }
 }
 
+// PEM with a single trailing newline, so that certificates concatenate
+function pemBlock(pem) {
+  return pem.toString().replace(/\r\n/g, '\n').trim() + '\n';
+}
+
 class CA {
-  constructor(caKey, caCert) {
+  // Each chain is a list of PEM certificates, starting with the one that
+  // signs end-entity certificates.  The first chain is the default; the rest
+  // are alternates, e.g., with a cross-signed version of the first
+  // certificate.
+  constructor(caKey, chains, profile) {
     this.caKey = caKey;
-    this.caCert = caCert;
+    this.chains = chains.map(chain => chain.map(pemBlock));
+    this.caCert = this.chains[0][0];
+    this.profile = profile;
+  }
+
+  // Returns the PEM chain for a certificate, or null if there is no such
+  // chain
+  chain(cert, index) {
+    let chain = this.chains[index];
+    if (!chain) {
+      return null;
+    }
+    return pemBlock(cert.body) + chain.join('');
   }
 
   issue(/* application */) {
@@ -271,16 +662,31 @@ class CA {
   }
 
   issueCertificate(csr, notBefore, notAfter) {
-    return pki.issueCRT(csr, notBefore, notAfter, this.caCert, this.caKey);
+    return pki.issueCRT(csr, notBefore, notAfter, this.caCert, this.caKey, this.profile);
   }
 }
 
-function problem(type, title, description) {
-  return {
-    type:        'urn:ietf:params:acme:error:' + type,
-    title:       title,
-    description: description
-  };
+function failure(type, message) {
+  let err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+function subproblem(type, title, id) {
+  return Object.assign(problem(type, title), {identifier: id});
+}
+
+// A problem with some of the identifiers in a request, with a subproblem for
+// each.  It has the type of the subproblems if they all have the same one.
+function identifierProblem(title, subproblems) {
+  let types = subproblems.map(x => x.type)
+    .filter((type, i, all) => (all.indexOf(type) === i));
+  let out = problem('compound', title);
+  if (types.length === 1) {
+    out.type = types[0];
+  }
+  out.subproblems = subproblems;
+  return out;
 }
 
 class ACMEServer {
@@ -289,30 +695,99 @@ class ACMEServer {
   // * port
   // * basePath
   // * acmeVersion
+  // * validators: Map of additional challenge types to validator constructors
+  // * challenges: Map of challenge types to enable to true or an options object
+  //   for the validator, e.g., {'http-01': {port: 5002}}
+  // * httpChallenge, dnsChallenge, tlsalpnChallenge, autoChallenge: Shorthand
+  //   for the http-01, dns-01, tls-alpn-01 and auto entries in challenges
+  // * validationRetries, validationRetryDelay, validationConcurrency:
+  //   ValidationQueue options
+  // * externalAccountRequired: Whether new accounts must be bound to external
+  //   accounts provisioned with provisionExternalAccount()
+  // * storage: Where to keep accounts, orders and so on, e.g., a FileStorage;
+  //   by default they are kept in memory
+  // * ordersPageSize: How many order URLs to list per page of an account's
+  //   orders
+  // * asyncFinalize: Whether to issue certificates after responding to
+  //   finalize requests, leaving orders processing in the meantime, rather
+  //   than before
+  // * issuanceDelay: Milliseconds to wait before issuing in asyncFinalize
+  //   mode, to act like a slow CA
+  // * allowedExtensions: Extensions besides subjectAltName that CSRs may
+  //   request, by OID or forge name, e.g., ['keyUsage'].  Certificates get
+  //   the extensions of the profile regardless.
+  // * maxValiditySeconds: Cap on the validity of certificates
+  // * orderExpirySeconds: How long orders last before they become invalid
+  //   (default 7 days)
+  // * authzExpirySeconds: How long authorizations last (default 30 days); an
+  //   order also becomes invalid when any of its authorizations expires
+  // * profile: CertificateProfile options for the certificates the CA issues,
+  //   e.g., {extendedKeyUsage: ['serverAuth'], ocspURL: '...'}
+  // * caKey: The key that the CA signs with
+  // * chain: PEM certificates to serve after issued ones, starting with the
+  //   one for caKey, e.g., [intermediate, root]
+  // * caCert: Shorthand for a chain of just the CA certificate
+  // * alternateChains: Lists like chain that clients may choose instead,
+  //   e.g., with a cross-signed certificate for caKey
+  // * ocspSigner: {key, cert} for a delegated OCSP responder; by default,
+  //   caKey signs OCSP responses
+  // * crlShards: How many CRLs to partition issued certificates among
+  // * crlUpdateSeconds: How often to produce new CRLs, besides after each
+  //   revocation
+  // * identifierPolicy: IdentifierPolicy options for which identifiers to
+  //   issue for, e.g., {allow: ['not-example.com'], maxNames: 10}, or
+  //   {file: 'policy.json'} to take them from a file that is reloaded when it
+  //   changes
   constructor(options) {
     options = options || {};
     let host = options.host || 'localhost';
     let port = options.port || 80;
     let basePath = options.basePath || '';
     this.acmeVersion = options.acmeVersion || 'ietf-draft';
+    this.jose = new Jose(this.acmeVersion);
 
     // Set policy preferences
     this.policy = {
-      authzExpirySeconds:   options.authzExpirySeconds,
-      maxValiditySeconds:   options.maxValiditySeconds,
-      allowedExtensions:    options.allowedExtensions,
-      scopedAuthorizations: options.scopedAuthorizations,
-      requireOOB:           options.requireOOB,
-      challenges:           {
-        dns:    options.dnsChallenge,
-        http:   options.httpChallenge,
-        tlssni: options.tlssniChallenge,
-        auto:   options.autoChallenge
-      }
+      authzExpirySeconds:      options.authzExpirySeconds || AUTHZ_EXPIRY_SECONDS,
+      orderExpirySeconds:      options.orderExpirySeconds || ORDER_EXPIRY_SECONDS,
+      maxValiditySeconds:      options.maxValiditySeconds,
+      allowedExtensions:       options.allowedExtensions,
+      scopedAuthorizations:    options.scopedAuthorizations,
+      requireOOB:              options.requireOOB,
+      externalAccountRequired: !!options.externalAccountRequired,
+      ordersPageSize:          options.ordersPageSize || ORDERS_PAGE_SIZE,
+      asyncFinalize:           !!options.asyncFinalize,
+      issuanceDelay:           options.issuanceDelay || 0,
+      challenges:              Object.assign({
+        'http-01':     options.httpChallenge,
+        'dns-01':      options.dnsChallenge,
+        'tls-alpn-01': options.tlsalpnChallenge,
+        'auto':        options.autoChallenge
+      }, options.challenges)
     };
 
-    // Set up a CA
-    this.CA = new CA(options.caKey, options.caCert);
+    this.identifierPolicy = new IdentifierPolicy(options.identifierPolicy);
+
+    // Set up the challenge types we know how to validate
+    this.validators = new ValidationRegistry();
+    let validators = options.validators || {};
+    for (let type in validators) {
+      if (validators.hasOwnProperty(type)) {
+        this.validators.register(type, validators[type]);
+      }
+    }
+    for (let type in this.policy.challenges) {
+      if (this.policy.challenges[type] && !this.validators.has(type)) {
+        throw new TypeError(`No validator for challenge type ${type}`);
+      }
+    }
+
+    // Validation happens in the background
+    this.validations = new ValidationQueue({
+      retries:     options.validationRetries,
+      retryDelay:  options.validationRetryDelay,
+      concurrency: options.validationConcurrency
+    });
 
     // Set the base URL, so we can construct others
     switch (port) {
@@ -321,8 +796,45 @@ class ACMEServer {
       default: this.baseURL = `http://${host}:${port}${basePath}`; break;
     }
 
-    // Set up a database
-    this.db = new DB();
+    // Set up a CA, with an OCSP responder and CRLs for the certificates it
+    // issues
+    let profile = new CertificateProfile(Object.assign({
+      maxValiditySeconds: this.policy.maxValiditySeconds,
+      ocspURL:            this.baseURL + OCSP_PATH,
+      crlURL:             serialNumber => this.crl.url(serialNumber)
+    }, options.profile));
+    let chain = options.chain || (options.caCert ? [options.caCert] : []);
+    this.CA = new CA(options.caKey, [chain].concat(options.alternateChains || []), profile);
+    if (this.CA.caCert) {
+      let signer = options.ocspSigner || {key: options.caKey};
+      this.ocsp = new OCSPResponder({
+        caCert: this.CA.caCert,
+        key:    signer.key,
+        cert:   signer.cert,
+        lookup: serialNumber => this.db.certificateFor(serialNumber)
+      });
+      this.crl = new CRLIssuer({
+        caCert:        this.CA.caCert,
+        key:           options.caKey,
+        certificates:  () => this.db.all(Certificate.type),
+        url:           this.baseURL + CRL_PATH,
+        shards:        options.crlShards,
+        updateSeconds: options.crlUpdateSeconds
+      });
+    }
+
+    // Set up a database, and pick up any validations that were in progress
+    // when the objects were stored
+    this.db = new DB(options.storage || new MemoryStorage(),
+                     (type, rec) => this.revive(type, rec));
+    this.db.all(Authorization.type).forEach(authz => {
+      authz.challengeObj
+        .filter(challenge => (challenge.status === 'processing'))
+        .forEach(challenge => this.validate(authz, challenge));
+    });
+    this.db.all(Application.type)
+      .filter(app => (app.status === 'processing' && app.csr))
+      .forEach(app => this.scheduleIssuance(app));
 
     // Initialize the directory object
     this._directory = {'meta': {}};
@@ -332,23 +844,44 @@ class ACMEServer {
       }
     }
     this.terms = options.terms;
+    if (this.policy.externalAccountRequired) {
+      this._directory.meta.externalAccountRequired = true;
+    }
+
+    // Renewal windows that an operator has forced, by serial number, or for
+    // all certificates
+    this.forcedRenewals = {};
+    this.forcedRenewalForAll = null;
 
     // Create a transport-level server
-    this.transport = new TransportServer(this.acmeVersion, url => {
-      const id = url.match(/http:\/\/acme-v02.api.letsencrypt.org\/acme\/reg\/(\w+)$/)[1]
-      return this.db.get(Registration.type, id).key
+    this.transport = new TransportServer(this.acmeVersion, kid => this.keyFor(kid));
+    this.transport.unsigned.get(basePath + OCSP_PATH + '/*', (req, res) => {
+      this.ocspResponse(res, Buffer.from(req.params[0], 'base64'));
+    });
+    this.transport.unsigned.post(basePath + OCSP_PATH,
+                                 bodyParser.raw({type: 'application/ocsp-request'}),
+                                 (req, res) => this.ocspResponse(res, req.body));
+    this.transport.unsigned.get(basePath + CRL_PATH + '/:shard?', (req, res) => {
+      this.crlResponse(res, req.params.shard);
     });
+    this.app.get(basePath + DIRECTORY_TEMPLATE['renewalInfo'] + '/:id',
+                 (req, res) => this.renewalInfo(req, res));
     this.app.get(basePath + '/:type/:id', (req, res) => this.fetch(req, res));
     this.app.get(basePath + '/authz/:id/:index', (req, res) => this.fetchChallenge(req, res));
     this.app.get(DIRECTORY_TEMPLATE['directory'], (req, res) => this.directory(req, res));
     this.app.post(basePath + DIRECTORY_TEMPLATE['newAccount'], (req, res) => this.newReg(req, res));
     this.app.post(basePath + '/reg/:id', (req, res) => this.updateReg(req, res));
+    this.app.post(basePath + '/reg/:id/orders', (req, res) => this.listOrders(req, res));
     this.app.post(basePath + DIRECTORY_TEMPLATE['newOrder'], (req, res) => this.newApp(req, res));
+    this.app.post(basePath + DIRECTORY_TEMPLATE['newAuthz'], (req, res) => this.newAuthz(req, res));
     this.app.post(basePath + '/app/:id/finalize', (req, res) => this.finalizeOrder(req, res))
     this.app.post(basePath + '/app/:id', (req, res) => this.getOrder(req, res))
     this.app.post(basePath + '/authz/:id', (req, res) => this.getAuthz(req, res));
     this.app.post(basePath + '/authz/:id/:index', (req, res) => this.updateAuthz(req, res));
     this.app.post(basePath + '/cert/:id', (req, res) => this.getCert(req, res));
+    this.app.post(basePath + '/cert/:id/:chain', (req, res) => this.getCert(req, res));
+    this.app.post(basePath + DIRECTORY_TEMPLATE['revokeCert'], (req, res) => this.revokeCert(req, res));
+    this.app.post(basePath + DIRECTORY_TEMPLATE['keyChange'], (req, res) => this.keyChange(req, res));
     this.app.head(basePath + DIRECTORY_TEMPLATE['newNonce'], (req, res) => this.newNonce(req, res));
     this.app.get(basePath + DIRECTORY_TEMPLATE['newNonce'], (req, res) => this.newNonce(req, res));
     // TODO others
@@ -362,16 +895,51 @@ class ACMEServer {
   }
 
   getAuthz(req, res) {
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
       return;
     }
     let authz = this.db.get(Authorization.type, req.params.id);
-    res.status(201);
-    res.send({status: authz.status, identifier: authz.identifier, challenges: [{type: 'http-01', token: 'token', url: authz.url + '/0' }]});
+    if (!authz) {
+      res.status(404);
+      res.end();
+      return;
+    }
+    if (reg.id !== authz.thumbprint) {
+      res.status(401);
+      res.send(problem('unauthorized', 'Unauthorized account key'));
+      return;
+    }
+
+    // Clients can give up an authorization by deactivating it
+    let status = req.payload.status;
+    if (status) {
+      authz.update();
+      if (status !== 'deactivated' ||
+          (authz.status !== 'pending' && authz.status !== 'valid')) {
+        res.status(400);
+        res.send(problem('malformed', 'Invalid authorization status', status));
+        return;
+      }
+      authz.status = 'deactivated';
+      this.db.put(authz);
+      this.db.updateAppsFor(authz);
+    }
+
+    let body = authz.marshal();
+    this.retryAfter(res, authz);
+    res.status(200);
+    res.send(body);
+  }
+
+  // Tells the client when to check back while validation is in progress
+  retryAfter(res, authz) {
+    let seconds = authz.challengeObj
+      .filter(x => (x.status === 'processing'))
+      .map(x => this.validations.retryAfter(x));
+    if (seconds.length > 0) {
+      res.set('retry-after', Math.min.apply(null, seconds).toString());
+    }
   }
 
   get app() {
@@ -392,24 +960,97 @@ class ACMEServer {
     res.json(this._directory);
   }
 
+  ocspResponse(res, der) {
+    if (!this.ocsp) {
+      res.status(404);
+      res.end();
+      return;
+    }
+
+    res.status(200);
+    res.type('application/ocsp-response');
+    res.send(this.ocsp.respond(Buffer.isBuffer(der) ? der : Buffer.alloc(0)));
+  }
+
+  // Without shards, the CRL is at /crl; with them, each is at /crl/<shard>
+  crlResponse(res, shard) {
+    let crl = null;
+    let sharded = (shard !== undefined);
+    if (this.crl && (this.crl.shards > 1) === sharded &&
+        (!sharded || shard.match(/^[0-9]+$/))) {
+      crl = this.crl.crl(sharded ? parseInt(shard, 10) : 0);
+    }
+    if (!crl) {
+      res.status(404);
+      res.end();
+      return;
+    }
+
+    res.status(200);
+    res.type('application/pkix-crl');
+    res.send(crl);
+  }
+
+  // ACME Renewal Information (RFC 9773): when to renew a certificate
+  renewalInfo(req, res) {
+    let cert;
+    try {
+      cert = this.certificateForRenewalID(req.params.id);
+    } catch (e) {
+      res.status(400);
+      res.send(problem('malformed', 'Invalid renewal ID', e.message));
+      return;
+    }
+    if (!cert) {
+      res.status(404);
+      res.send(problem('malformed', 'Unknown certificate'));
+      return;
+    }
+
+    let forced = this.forcedRenewals[cert.serialNumber] || this.forcedRenewalForAll;
+    let window = (forced && cert.status !== 'revoked')? forced : cert.renewalWindow();
+    let info = {suggestedWindow: {start: window.start, end: window.end}};
+    if (window.explanationURL) {
+      info.explanationURL = window.explanationURL;
+    }
+
+    res.status(200);
+    res.set('Retry-After', RENEWAL_INFO_RETRY_SECONDS);
+    res.send(info);
+  }
+
+  // Looks up a certificate by renewal ID, which has to match the certificate
+  // in its authority keyIdentifier as well as its serial number
+  certificateForRenewalID(id) {
+    let serialNumber = pki.parseRenewalID(id).serialNumber;
+    let cert = this.db.certificateFor(serialNumber);
+    return (cert && pki.renewalID(cert.der) === id)? cert : null;
+  }
+
   fetch(req, res) {
     let type = req.params.type;
     let id = req.params.id;
 
     // Attempt to fetch
     let status = 200;
-    let body = this.db.get(type, id);
-    if (body) {
-      body = body.marshal();
+    let obj = this.db.get(type, id);
+    let body;
+    if (obj && obj.marshal) {
+      body = obj.marshal();
     }
 
     // Overwrite with errors if necessary
-    if (type === Registration.type) {
+    if (type === Certificate.type) {
+      this.sendCertificate(res, obj, 0);
+      return;
+    } else if (type === Registration.type) {
       status = 401;
       body = problem('unauthorized', 'GET requests not allowed for registrations');
     } else if (!body) {
       status = 404;
       body = '';
+    } else if (type === Authorization.type) {
+      this.retryAfter(res, obj);
     }
 
     res.status(status);
@@ -426,62 +1067,233 @@ class ACMEServer {
       return;
     }
 
+    // Only write the authorization back if reading it changed its status,
+    // e.g., because it expired
+    let status = authz.status;
     authz.update();
-    this.db.put(authz);
+    if (authz.status !== status) {
+      this.db.put(authz);
+    }
 
-    authz.challenges[0].status = 'valid';
+    this.retryAfter(res, authz);
     res.status(200);
     res.send(authz.challenges[index]);
   }
 
   // POST request handlers
 
-  makeURL(obj) {
-    let type = obj.type();
-    let id = obj.id;
-    return `${this.baseURL}/${type}/${id}`;
+  // Resolves a key ID, which is the URL of an account, to the account's
+  // current key
+  keyFor(kid) {
+    let prefix = `${this.baseURL}/${Registration.type}/`;
+    let reg = null;
+    if (kid.indexOf(prefix) === 0) {
+      reg = this.db.get(Registration.type, kid.substr(prefix.length));
+    }
+    if (!reg) {
+      throw failure('accountDoesNotExist', `No account for key ID [${kid}]`);
+    }
+
+    // The key may be a JWK object from storage, which node-jose would annotate
+    // with its own fields, so it gets a copy
+    return jose.JWK.asKey(JSON.parse(JSON.stringify(reg.key)));
   }
 
-  newReg(req, res) {
-    let jwk = req.accountKey;
-    let contact = req.payload.contact;
-    let thumbprint = req.accountKeyThumbprint;
+  // Looks up the account for the key that signed a request, and sends an error
+  // unless it is one that may make requests
+  account(req, res) {
+    if (!req.protectedHeader.kid) {
+      res.status(400);
+      res.send(problem('malformed', 'Requests for an account must be signed with its key ID'));
+      return null;
+    }
 
-    // Check for existing registrations
-    let existing = this.db.get(Registration.type, thumbprint);
-    if (existing) {
+    let reg = this.db.accountFor(req.accountKeyThumbprint);
+    if (!reg) {
+      res.status(401);
+      res.send(problem('unauthorized', 'Unknown account key'));
+      return null;
+    }
+    if (!Registration.isActive(reg)) {
+      res.status(401);
+      res.send(problem('unauthorized', `Account is ${reg.status}`));
+      return null;
+    }
+    return reg;
+  }
+
+  makeURL(obj) {
+    let type = obj.type();
+    let id = obj.id;
+    return `${this.baseURL}/${type}/${id}`;
+  }
+
+  newReg(req, res) {
+    if (!req.protectedHeader.jwk) {
+      res.status(400);
+      res.send(problem('malformed', 'New accounts must be requested with a jwk'));
+      return;
+    }
+
+    let jwk = req.accountKey;
+    let contact = req.payload.contact;
+    let thumbprint = req.accountKeyThumbprint;
+
+    // Check for existing registrations
+    let existing = this.db.accountFor(thumbprint);
+    if (existing) {
       res.status(200);
       res.set('location', this.makeURL(existing));
       res.end();
       return;
     }
 
-    // Store a new registration
-    let reg = new Registration(thumbprint, jwk, contact);
-    this.db.put(reg);
-    res.status(201);
-    res.set('location', this.makeURL(reg));
-    if (this.terms) {
-      res.links({'terms-of-service': this.terms});
+    this.externalAccount(req)
+      .then(eab => {
+        // Store a new registration.  The thumbprint is taken as an ID if an
+        // account has since moved from this key to another.
+        let id = this.db.get(Registration.type, thumbprint)? uuid.v4() : thumbprint;
+        let reg = new Registration(id, jwk, contact);
+        reg.thumbprint = thumbprint;
+        reg.orders = this.makeURL(reg) + '/orders';
+        if (eab) {
+          reg.externalAccountBinding = req.payload.externalAccountBinding;
+          eab.account = reg.id;
+          this.db.put(eab);
+        }
+        this.db.put(reg);
+        res.status(201);
+        res.set('location', this.makeURL(reg));
+        if (this.terms) {
+          res.links({'terms-of-service': this.terms});
+        }
+        res.send(reg.marshal());
+      })
+      .catch(err => {
+        if (err.type === 'externalAccountRequired') {
+          res.status(400);
+          res.send(problem(err.type, err.message));
+          return;
+        }
+        res.status(401);
+        res.send(problem('unauthorized', 'Invalid external account binding', err.message));
+      });
+  }
+
+  // Checks the external account binding in a new account request, resolving
+  // to the credentials it was made with, if there is one
+  externalAccount(req) {
+    let binding = req.payload.externalAccountBinding;
+    if (!binding) {
+      if (this.policy.externalAccountRequired) {
+        return Promise.reject(failure('externalAccountRequired',
+                                      'New accounts must have an external account binding'));
+      }
+      return Promise.resolve(null);
+    }
+
+    let eab;
+    return this.jose.verifyMAC(binding, req.protectedHeader, kid => {
+      eab = this.db.get(ExternalAccount.type, kid);
+      if (!eab || eab.status !== 'valid') {
+        throw new Error(`Unknown external account [${kid}]`);
+      }
+      if (eab.account) {
+        throw new Error(`External account [${kid}] is already bound`);
+      }
+      return eab.macKey;
+    })
+    .then(result => jose.JWK.asKey(result.payload))
+    .then(key => key.thumbprint())
+    .then(tpBuffer => {
+      if (tpBuffer.toString('hex') !== req.accountKeyThumbprint) {
+        throw new Error('External account binding is for a different key');
+      }
+      return eab;
+    });
+  }
+
+  // Provisions credentials for binding an ACME account to an external one,
+  // returning the key ID and base64url MAC key to hand to its holder
+  provisionExternalAccount(kid) {
+    kid = kid || uuid.v4();
+    if (this.db.get(ExternalAccount.type, kid)) {
+      throw new Error(`External account [${kid}] already exists`);
+    }
+
+    let macKey = jose.util.base64url.encode(crypto.randomBytes(MAC_KEY_BYTES));
+    this.db.put(new ExternalAccount(kid, macKey));
+    return {kid: kid, macKey: macKey};
+  }
+
+  // Forces the renewal window that ARI suggests, e.g., an early one to
+  // simulate a mass revocation.  Options:
+  // * serialNumbers: The certificates to force it for, as lowercase hex; by
+  //   default, all of them
+  // * start, end: The window (default: an hour starting now)
+  // * explanationURL: Where subscribers can read why
+  forceRenewal(options) {
+    options = options || {};
+    let start = new Date(options.start || Date.now());
+    let window = {
+      start:          start,
+      end:            new Date(options.end || start.getTime() + FORCED_RENEWAL_SECONDS * 1000),
+      explanationURL: options.explanationURL
+    };
+
+    if (!options.serialNumbers) {
+      this.forcedRenewalForAll = window;
+      return;
+    }
+    options.serialNumbers.forEach(serialNumber => {
+      this.forcedRenewals[serialNumber.toLowerCase()] = window;
+    });
+  }
+
+  // Goes back to the usual renewal windows
+  clearForcedRenewals() {
+    this.forcedRenewals = {};
+    this.forcedRenewalForAll = null;
+  }
+
+  // Revokes external account credentials so that they can no longer be used,
+  // and deactivates the ACME account bound with them, if any
+  revokeExternalAccount(kid) {
+    let eab = this.db.get(ExternalAccount.type, kid);
+    if (!eab) {
+      throw new Error(`Unknown external account [${kid}]`);
+    }
+
+    eab.status = 'revoked';
+    this.db.put(eab);
+
+    let reg = eab.account && this.db.get(Registration.type, eab.account);
+    if (reg && Registration.isActive(reg)) {
+      this.deactivate(reg);
+      this.db.put(reg);
     }
-    res.send(reg.marshal());
   }
 
   updateReg(req, res) {
     // Check that account key is registered
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
       return;
     }
-    if (req.params.id !== thumbprint) {
+    if (req.params.id !== reg.id) {
       res.status(401);
       res.send(problem('unauthorized', 'Unauthorized account key'));
       return;
     }
 
+    // Clients can only change the status to deactivated
+    let status = req.payload.status;
+    if (status && status !== reg.status && status !== 'deactivated') {
+      res.status(400);
+      res.send(problem('malformed', 'Invalid account status', status));
+      return;
+    }
+
     if (req.payload.contact) {
       reg.contact = req.payload.contact;
     }
@@ -493,6 +1305,9 @@ class ACMEServer {
       }
       reg.agreement = req.payload.agreement;
     }
+    if (status === 'deactivated') {
+      this.deactivate(reg);
+    }
     this.db.put(reg);
 
     res.status(200);
@@ -502,24 +1317,129 @@ class ACMEServer {
     res.send(reg.marshal());
   }
 
+  // Lists the URLs of an account's orders a page at a time, linking each page
+  // to the next
+  listOrders(req, res) {
+    let reg = this.account(req, res);
+    if (!reg) {
+      return;
+    }
+    if (req.params.id !== reg.id) {
+      res.status(401);
+      res.send(problem('unauthorized', 'Unauthorized account key'));
+      return;
+    }
+
+    let cursor = parseInt(req.query.cursor || '0', 10);
+    if (isNaN(cursor) || cursor < 0) {
+      res.status(400);
+      res.send(problem('malformed', 'Invalid cursor', req.query.cursor));
+      return;
+    }
+
+    let pageSize = this.policy.ordersPageSize;
+    let apps = this.db.appsFor(reg.id);
+    let next = cursor + pageSize;
+    if (next < apps.length) {
+      res.links({next: `${this.makeURL(reg)}/orders?cursor=${next}`});
+    }
+    res.status(200);
+    res.send({orders: apps.slice(cursor, next).map(app => app.url)});
+  }
+
+  // Deactivating an account invalidates its pending authorizations
+  deactivate(reg) {
+    reg.status = 'deactivated';
+    this.db.authzsFor(reg.id)
+      .filter(authz => (authz.status === 'pending'))
+      .forEach(authz => {
+        authz.status = 'invalid';
+        this.db.put(authz);
+        this.db.updateAppsFor(authz);
+      });
+  }
+
+  // The payload is a JWS signed by the new key, over the account URL and the
+  // old key
+  keyChange(req, res) {
+    let reg = this.account(req, res);
+    if (!reg) {
+      return;
+    }
+
+    let inner;
+    this.jose.verifyInner(req.payload, req.protectedHeader)
+      .then(result => {
+        inner = result;
+        if (inner.payload.account !== this.makeURL(reg)) {
+          throw new Error('Key change is for a different account');
+        }
+        if (!inner.payload.oldKey) {
+          throw new Error('Old key must be provided');
+        }
+
+        return Promise.all([
+          jose.JWK.asKey(inner.payload.oldKey).then(k => k.thumbprint()),
+          inner.key.thumbprint()
+        ]);
+      })
+      .then(thumbprints => {
+        let oldThumbprint = thumbprints[0].toString('hex');
+        let newThumbprint = thumbprints[1].toString('hex');
+        if (oldThumbprint !== req.accountKeyThumbprint) {
+          throw new Error('Old key does not match the account key');
+        }
+
+        let existing = this.db.accountFor(newThumbprint);
+        if (existing) {
+          res.status(409);
+          res.set('location', this.makeURL(existing));
+          res.send(problem('malformed', 'New key is already in use for an account'));
+          return;
+        }
+
+        this.db.rekey(reg, inner.key, newThumbprint);
+        res.status(200);
+        res.send(reg.marshal());
+      })
+      .catch(err => {
+        res.status(400);
+        res.send(problem('malformed', 'Invalid key change request', err.message));
+      });
+  }
+
   newApp(req, res) {
     // Check that account key is registered
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
       return;
     }
 
     // Create a stub application
-    let app = new Application(this, thumbprint);
+    let app = new Application(this, reg.id);
     let scope = (this.policy.scopedAuthorizations)? app.url : undefined;
 
-    // Parse the request elements, determine if it's acceptable
+    // Parse the request elements, determine if it's acceptable.  Each
+    // identifier that cannot be issued for gets a subproblem.
     let names;
+    let subproblems = [];
     try {
-      names = req.payload.identifiers.map(x => x.value);
+      let identifiers = req.payload.identifiers;
+      if (!Array.isArray(identifiers) || identifiers.length === 0) {
+        throw new Error('Identifiers must be provided');
+      }
+      app.identifiers = [];
+      identifiers.forEach(x => {
+        try {
+          let id = identifier.check(x);
+          if (!app.identifiers.some(y => (y.type === id.type && y.value === id.value))) {
+            app.identifiers.push(id);
+          }
+        } catch (e) {
+          subproblems.push(subproblem(e.type, e.message, x));
+        }
+      });
+      names = app.identifiers.map(x => x.value);
 
       if (req.payload.notBefore) {
         let notBefore = new Date(req.payload.notBefore);
@@ -536,18 +1456,84 @@ class ACMEServer {
         }
         app.notAfter = req.payload.notAfter;
       }
+
+      if ('replaces' in req.payload) {
+        if (typeof req.payload.replaces !== 'string') {
+          throw new Error('replaces must be a renewal ID');
+        }
+        pki.parseRenewalID(req.payload.replaces);
+        app.replaces = req.payload.replaces;
+      }
     } catch (e) {
       res.status(400);
       res.send(problem('malformed', 'Invalid new application', e.message));
       return;
     }
 
-    // Assemble authorization requirements
-    for (let name of names) {
-      let authz = this.db.authzFor(thumbprint, name);
+    // The identifier policy may refuse the order as a whole, or some of its
+    // identifiers
+    let tooMany = this.identifierPolicy.refuseOrder(app.identifiers);
+    if (tooMany) {
+      res.status(400);
+      res.send(problem('rejectedIdentifier', 'Invalid new application', tooMany));
+      return;
+    }
+    subproblems = subproblems.concat(this.refusedIdentifiers(app.identifiers));
+    let refused = subproblems.map(x => x.identifier);
+
+    // Assemble authorization requirements, which need a challenge that can
+    // validate each identifier
+    let authzs = app.identifiers.filter(id => (refused.indexOf(id) < 0)).map(id => {
+      let authz = this.db.authzFor(reg.id, id.value);
       if (!authz) {
-        authz = new Authorization(this, thumbprint, name, scope);
+        authz = new Authorization(this, reg, id, scope);
+      }
+      if (authz.challengeObj.length === 0) {
+        subproblems.push(subproblem('unsupportedIdentifier',
+                                    `No enabled challenge can validate ${id.value}`, id));
       }
+      return authz;
+    });
+    if (subproblems.length > 0) {
+      res.status(400);
+      res.send(identifierProblem('Invalid new application', subproblems));
+      return;
+    }
+
+    // A renewal may name the certificate it replaces, which has to be one
+    // issued to the same account for some of the same names, and not one
+    // that another order already replaces
+    if (app.replaces) {
+      let replaced = this.certificateForRenewalID(app.replaces);
+      if (!replaced) {
+        res.status(400);
+        res.send(problem('malformed', 'Unknown certificate to replace'));
+        return;
+      }
+      if (replaced.thumbprint !== reg.id) {
+        res.status(403);
+        res.send(problem('unauthorized',
+                         'Certificate to replace belongs to another account'));
+        return;
+      }
+      if (!replaced.names.some(name => names.indexOf(name) >= 0)) {
+        res.status(400);
+        res.send(problem('malformed',
+                         'Order has no names in common with the certificate it replaces'));
+        return;
+      }
+      let replacing = this.db.appsFor(reg.id).filter(other => {
+        return (other.replaces === app.replaces) && (other.status !== 'invalid');
+      });
+      if (replacing.length > 0) {
+        res.status(409);
+        res.send(problem('alreadyReplaced', 'Certificate is already being replaced',
+                         `Replaced by ${replacing[0].url}`));
+        return;
+      }
+    }
+
+    for (let authz of authzs) {
       this.db.put(authz);
       app.requirements.push(authz.asRequirement());
     }
@@ -561,104 +1547,336 @@ class ACMEServer {
     res.send(app.marshal());
   }
 
+  // Subproblems for the identifiers that the identifier policy refuses
+  refusedIdentifiers(identifiers) {
+    return identifiers.map(id => {
+      let reason = this.identifierPolicy.refuse(id);
+      return reason && subproblem('rejectedIdentifier', reason, id);
+    }).filter(x => x);
+  }
+
+  // The problem with issuing for the identifiers under the identifier policy,
+  // or null if there is none
+  policyProblem(identifiers) {
+    let reason = this.identifierPolicy.refuseOrder(identifiers);
+    if (reason) {
+      return problem('rejectedIdentifier', 'Refused by policy', reason);
+    }
+    let refused = this.refusedIdentifiers(identifiers);
+    return (refused.length > 0)? identifierProblem('Refused by policy', refused) : null;
+  }
+
+  // Pre-authorization: the client asks for an authorization for an identifier
+  // before it orders a certificate
+  newAuthz(req, res) {
+    let reg = this.account(req, res);
+    if (!reg) {
+      return;
+    }
+
+    // Wildcards cannot be pre-authorized, since the authorization would be
+    // for the name the wildcard covers (RFC 8555 section 7.4.1)
+    let id;
+    try {
+      id = identifier.check(req.payload.identifier);
+    } catch (e) {
+      res.status(400);
+      res.send(problem(e.type, 'Invalid identifier', e.message));
+      return;
+    }
+    if (identifier.isWildcard(id.value)) {
+      res.status(400);
+      res.send(problem('malformed', 'Invalid identifier',
+                       'Wildcard names cannot be pre-authorized'));
+      return;
+    }
+    let refusal = this.policyProblem([id]);
+    if (refusal) {
+      res.status(400);
+      res.send(refusal);
+      return;
+    }
+
+    // An existing authorization for the identifier is returned as-is
+    let status = 200;
+    let authz = this.db.authzFor(reg.id, id.value);
+    if (!authz) {
+      authz = new Authorization(this, reg, id);
+      if (authz.challengeObj.length === 0) {
+        res.status(400);
+        res.send(problem('unsupportedIdentifier', 'Invalid identifier',
+                         `No enabled challenge can validate ${id.value}`));
+        return;
+      }
+      status = 201;
+      this.db.put(authz);
+    }
+
+    res.status(status);
+    res.set('location', authz.url);
+    res.send(authz.marshal());
+  }
+
   getCert(req, res) {
     // Check that account key is registered
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
       return;
     }
 
     let cert = this.db.get(Certificate.type, req.params.id);
-    if (!cert) {
+    this.sendCertificate(res, cert, parseInt(req.params.chain || '0'));
+  }
+
+  // Sends a certificate with one of the CA's chains, and links to the others
+  sendCertificate(res, cert, index) {
+    let body = cert ? this.CA.chain(cert, index) : null;
+    if (!body) {
       res.status(404);
-      return
+      res.end();
+      return;
     }
-    res.send(cert.marshal())
+
+    this.CA.chains.forEach((chain, i) => {
+      if (i !== index) {
+        res.links({alternate: (i === 0)? cert.url : `${cert.url}/${i}`});
+      }
+    });
+    res.status(200);
+    res.type('application/pem-certificate-chain');
+    res.send(body);
   }
 
   finalizeOrder(req, res) {
     // Check that account key is registered
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
       return;
     }
 
     let order = this.db.get(Application.type, req.params.id);
     if (!order) {
       res.status(404);
+      res.end();
       return
     }
+    if (order.thumbprint !== reg.id) {
+      res.status(401);
+      res.send(problem('unauthorized', 'Unauthorized account key'));
+      return;
+    }
 
-    order.status = "processing"
-    // Create a stub application
-    let cert = new Certificate(this);
-    let scope = (this.policy.scopedAuthorizations)? cert.url : undefined;
+    // Only orders whose authorizations are all valid can be finalized
+    order.update();
+    if (order.status !== 'ready') {
+      this.db.put(order);
+      res.status(403);
+      res.send(problem('orderNotReady', `Order is ${order.status}, not ready`));
+      return;
+    }
 
-    // Parse the request elements, determine if it's acceptable
-    let names, csr, notBefore, notAfter;
-    try {
-      if (!req.payload.csr) {
-        throw new Error('CSR must be provided');
-      }
+    // The identifier policy may have changed since the order was created
+    let refusal = this.policyProblem(order.identifiers);
+    if (refusal) {
+      res.status(400);
+      res.send(refusal);
+      return;
+    }
 
-      let _csr = pki.checkCSR(req.payload.csr, this.policy);
-      if (_csr.error) {
-        throw new Error(_csr.error);
-      }
-      names = _csr.names;
-      csr = req.payload.csr;
-    } catch (e) {
+    // Parse the request elements, determine if it's acceptable.  The CSR
+    // must be for exactly the identifiers in the order.
+    if (typeof req.payload.csr !== 'string') {
       res.status(400);
-      res.send(problem('malformed', 'Invalid new certificate request', e.message));
-      order.status = "ready"
+      res.send(problem('malformed', 'Invalid new certificate request',
+                       'CSR must be provided'));
       return;
     }
 
-    notBefore = order.notBefore || new Date();
-    notAfter = order.notAfter;
-    if (!notAfter) {
-      notAfter = new Date();
-      notAfter.setFullYear((new Date()).getFullYear() + 1);
+    let csr = req.payload.csr;
+    let checked = pki.checkCSR(csr, this.policy);
+    if (checked.error) {
+      res.status(400);
+      res.send(problem('badCSR', 'Unacceptable CSR', checked.error));
+      return;
     }
+    let names = checked.names;
 
-    // Assemble authorization requirements
-    for (let name of names) {
-      let authz = this.db.authzFor(thumbprint, name);
-      if (!authz) {
-        authz = new Authorization(this, thumbprint, name, scope);
-      }
-      this.db.put(authz);
-  //    app.requirements.push(authz.asRequirement());
+    let requested = names.map(name => name.toLowerCase())
+      .filter((name, i, all) => (all.indexOf(name) === i))
+      .sort();
+    let ordered = order.identifiers.map(x => x.value).sort();
+    if (requested.join(',') !== ordered.join(',')) {
+      res.status(400);
+      res.send(problem('badCSR', 'CSR names do not match the order',
+                       `Expected ${ordered.join(', ')}; got ${requested.join(', ')}`));
+      return;
     }
 
     // TODO: Set OOB if required by policy
 
-    cert.body = this.CA.issueCertificate(csr, notBefore, notAfter);
-    order.status = "valid"
-    order.certificate = cert.url
+    // Either issue now, or tell the client when to check back
+    order.status = 'processing';
+    if (this.policy.asyncFinalize) {
+      order.csr = csr;
+      this.db.put(order);
+      this.scheduleIssuance(order);
+      this.issuanceRetryAfter(res, order);
+    } else {
+      this.issue(order, csr);
+    }
+
     // Return the application
-    this.db.put(cert);
-    res.status(201);
+    res.status(200);
     res.set('location', order.url);
     res.send(order.marshal());
   }
 
+  // Signs the certificate for an order that is processing, and records the
+  // outcome in the order
+  issue(order, csr) {
+    let cert = new Certificate(this, order.thumbprint, order.url);
+    let names = order.identifiers.map(x => x.value);
+    try {
+      // Serial numbers are random, so a repeat is all but impossible, but
+      // one would make revocation ambiguous
+      for (let i = 0; i < ISSUANCE_ATTEMPTS; i++) {
+        cert.setBody(this.CA.issueCertificate(csr, order.notBefore, order.notAfter), names);
+        if (!this.db.certificateFor(cert.serialNumber)) {
+          break;
+        }
+      }
+      if (this.db.certificateFor(cert.serialNumber)) {
+        throw new Error(`Serial number ${cert.serialNumber} is already in use`);
+      }
+      this.db.put(cert);
+      order.status = 'valid';
+      order.certificate = cert.url;
+    } catch (e) {
+      order.fail(problem('serverInternal', 'Unable to issue a certificate', e.message));
+    }
+    delete order.csr;
+    this.db.put(order);
+  }
+
+  scheduleIssuance(order) {
+    setTimeout(() => this.issue(order, order.csr), this.policy.issuanceDelay);
+  }
+
+  issuanceRetryAfter(res, order) {
+    if (order.status === 'processing') {
+      let seconds = Math.max(1, Math.ceil(this.policy.issuanceDelay / 1000));
+      res.set('retry-after', seconds.toString());
+    }
+  }
+
   getOrder(req, res) {
+    let reg = this.account(req, res);
+    if (!reg) {
+      return;
+    }
+
     let order = this.db.get(Application.type, req.params.id);
     if (!order) {
       res.status(404);
+      res.end();
       return
     }
+    if (order.thumbprint !== reg.id) {
+      res.status(401);
+      res.send(problem('unauthorized', 'Unauthorized account key'));
+      return;
+    }
+    let status = order.status;
+    order.update();
+    if (order.status !== status) {
+      this.db.put(order);
+    }
+    this.issuanceRetryAfter(res, order);
     res.status(200);
     res.send(order.marshal());
   }
 
+  revokeCert(req, res) {
+    let info;
+    try {
+      if (typeof req.payload.certificate !== 'string') {
+        throw new Error('Certificate must be provided');
+      }
+      info = pki.certificateInfo(req.payload.certificate);
+    } catch (e) {
+      res.status(400);
+      res.send(problem('malformed', 'Invalid revocation request', e.message));
+      return;
+    }
+
+    let reason = ('reason' in req.payload)? req.payload.reason : 0;
+    if (REVOCATION_REASONS.indexOf(reason) < 0) {
+      res.status(400);
+      res.send(problem('badRevocationReason', 'Unsupported revocation reason'));
+      return;
+    }
+
+    let cert = this.db.certificateFor(info.serialNumber);
+    if (!cert || !cert.der.equals(info.der)) {
+      res.status(404);
+      res.send(problem('malformed', 'Unknown certificate'));
+      return;
+    }
+    if (cert.status === 'revoked') {
+      res.status(400);
+      res.send(problem('alreadyRevoked', 'Certificate is already revoked'));
+      return;
+    }
+
+    this.canRevoke(req, cert, info)
+      .then(authorized => {
+        if (!authorized) {
+          res.status(403);
+          res.send(problem('unauthorized', 'Not authorized to revoke this certificate'));
+          return;
+        }
+
+        cert.revoke(reason);
+        this.db.put(cert);
+        if (this.crl) {
+          this.crl.update();
+        }
+        res.status(200);
+        res.end();
+      })
+      .catch(err => {
+        res.status(500);
+        res.send(problem('serverInternal', 'Unable to revoke the certificate', err.message));
+      });
+  }
+
+  // Revocation requests may be signed with the key ID of the account that
+  // issued the certificate or of one with valid authorizations for all of its
+  // names, or with the certificate's own key as a jwk.
+  canRevoke(req, cert, info) {
+    let thumbprint = req.accountKeyThumbprint;
+    if (req.protectedHeader.kid) {
+      let reg = this.db.accountFor(thumbprint);
+      if (!reg || !Registration.isActive(reg)) {
+        return Promise.resolve(false);
+      }
+
+      let authzs = this.db.authzsFor(reg.id);
+      let authorized = (cert.thumbprint === reg.id) || cert.names.every(name => {
+        return authzs.some(authz => {
+          authz.update();
+          return (authz.name() === name) && (authz.status === 'valid');
+        });
+      });
+      return Promise.resolve(authorized);
+    }
+
+    return jose.JWK.asKey(info.publicKey, 'spki')
+      .then(key => key.thumbprint())
+      .then(tpBuffer => (tpBuffer.toString('hex') === thumbprint))
+      .catch(() => false);
+  }
+
   updateAuthz(req, res) {
     // Check that the requested authorization and challenge exist
     let authz = this.db.get(Authorization.type, req.params.id);
@@ -670,12 +1888,8 @@ class ACMEServer {
     }
 
     // Check that account key is registered and appropriate
-    let thumbprint = req.accountKeyThumbprint;
-    let reg = this.db.get(Registration.type, thumbprint);
+    let reg = this.account(req, res);
     if (!reg) {
-      res.status(401);
-      res.send(problem('unauthorized', 'Unknown account key'));
-      res.end();
       return;
     }
     if (reg.id !== authz.thumbprint) {
@@ -685,26 +1899,38 @@ class ACMEServer {
       return;
     }
 
-    // Asynchronously update the challenge, the authorization, and any
-    // applications that depend on the authorization.
-    //
-    // NB: It's nice for testing to have the response only go back after
-    // everything is updated, since then you know that anything that's going to
-    // be issued has been.  However, updates are slow, so we might want to go
-    // async ultimately.
-    authz.challengeObj[index].update(res.payload)
+    // Respond with the challenge in processing, then validate in the
+    // background and update the authorization and any applications that
+    // depend on it once validation is done.
+    let challenge = authz.challengeObj[index];
+    if (challenge.start(req.payload)) {
+      this.db.put(authz);
+      this.validate(authz, challenge);
+    }
+
+    authz.update();
+    this.retryAfter(res, authz);
+    res.status(200);
+    res.send(authz.challenges[index]);
+  }
+
+  validate(authz, challenge) {
+    return this.validations.push(challenge)
       .then(() => {
         authz.update();
-      })
-      .then(() => {
-        this.db.updateAppsFor(authz);
-      })
-      .then(() => {
-        res.status(200);
-        res.send(authz.challenges[index]);
-        res.end();
+        this.db.put(authz);
+        return this.db.updateAppsFor(authz);
       });
   }
+
+  // Rebuilds an object from its stored record
+  revive(type, rec) {
+    let Class = TYPES.filter(x => (x.type === type))[0];
+    if (!Class) {
+      throw new Error(`Unknown object type ${type}`);
+    }
+    return Class.revive(this, rec);
+  }
 }
 
 module.exports = ACMEServer;
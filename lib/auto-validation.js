@@ -0,0 +1,30 @@
+'use strict';
+
+const Validation = require('./validation');
+
+// XXX: Non-spec; this challenge auto-completes whenever it gets a POST, with
+// no validation.  Useful mainly for testing.
+
+class AutoValidation extends Validation {
+  constructor(name, thumbprint, options) {
+    super(name, thumbprint, options);
+    this.type = AutoValidation.type;
+  }
+
+  // Like http-01, anything but wildcards, which only dns-01 can validate
+  static supports(id) {
+    return (id.type === 'ip') || Validation.supports(id);
+  }
+
+  validate() {
+    return Promise.resolve();
+  }
+
+  toJSON() {
+    return {type: this.type, status: this.status};
+  }
+}
+
+AutoValidation.type = 'auto';
+
+module.exports = AutoValidation;
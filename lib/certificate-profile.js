@@ -0,0 +1,152 @@
+'use strict';
+
+const crypto = require('crypto');
+const forge  = require('node-forge');
+const der    = require('./der');
+
+// The contents of the end-entity certificates a CA issues, besides the
+// subject, key and names, which come from the CSR
+// https://tools.ietf.org/html/rfc5280#section-4.2
+// https://cabforum.org/baseline-requirements-documents/ (section 7.1)
+
+const asn1 = forge.asn1;
+
+const OIDS = {
+  subjectKeyIdentifier:   '2.5.29.14',
+  keyUsage:               '2.5.29.15',
+  subjectAltName:         '2.5.29.17',
+  basicConstraints:       '2.5.29.19',
+  crlDistributionPoints:  '2.5.29.31',
+  certificatePolicies:    '2.5.29.32',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage:            '2.5.29.37',
+  authorityInfoAccess:    '1.3.6.1.5.5.7.1.1',
+  ocsp:                   '1.3.6.1.5.5.7.48.1',
+  caIssuers:              '1.3.6.1.5.5.7.48.2'
+};
+
+const DEFAULT_EXTENDED_KEY_USAGE = ['serverAuth', 'clientAuth'];
+const DEFAULT_POLICIES = ['2.23.140.1.2.1']; // CA/Browser Forum domain validated
+const DEFAULT_VALIDITY_SECONDS = 365 * 24 * 3600;
+const URI_TAG = 6;
+
+// keyUsage bits, as BIT STRING contents without trailing zero bits:
+// digitalSignature for all keys, and keyEncipherment for RSA
+const KEY_USAGE = {
+  rsa: '\x05\xa0',
+  ec:  '\x07\x80'
+};
+
+function uri(url) {
+  return der.tagged(URI_TAG, false, url);
+}
+
+// SHA-1 of the subjectPublicKey BIT STRING, as in RFC 5280 section 4.2.1.2
+function keyIdentifier(spki) {
+  let info = asn1.fromDer(spki.toString('binary'), {decodeBitStrings: false});
+  let bits = Buffer.from(info.value[1].value.slice(1), 'binary');
+  return crypto.createHash('sha1').update(bits).digest().toString('binary');
+}
+
+// The CA's own subjectKeyIdentifier if it has one, so that AKI matches.  The
+// issuer is the certificateInfo() of the CA certificate.
+function authorityKeyId(issuer) {
+  let ski = issuer.extensions[OIDS.subjectKeyIdentifier];
+  if (ski) {
+    return asn1.fromDer(ski.value.toString('binary')).value;
+  }
+  return keyIdentifier(issuer.publicKey);
+}
+
+// DistributionPoint = ([0] distributionPoint = ([0] fullName))
+function distributionPoint(url) {
+  return der.sequence([
+    der.tagged(0, true, [
+      der.tagged(0, true, [uri(url)])
+    ])
+  ]);
+}
+
+class CertificateProfile {
+  // Options:
+  // * extendedKeyUsage: EKU purposes, by OID or forge name (default
+  //   serverAuth and clientAuth)
+  // * policies: Certificate policy OIDs (default domain validated)
+  // * maxValiditySeconds: Cap on the validity period, which is also the
+  //   default (one year)
+  // * ocspURL: OCSP responder to list in AIA
+  // * issuerURL: Where to fetch the CA certificate, to list in AIA
+  // * crlURL: CRL distribution point, or a function from a certificate's
+  //   serial number (lowercase hex) to one, if CRLs are sharded
+  constructor(options) {
+    options = options || {};
+    this.extendedKeyUsage = options.extendedKeyUsage || DEFAULT_EXTENDED_KEY_USAGE;
+    this.policies = options.policies || DEFAULT_POLICIES;
+    this.maxValiditySeconds = options.maxValiditySeconds || DEFAULT_VALIDITY_SECONDS;
+    this.ocspURL = options.ocspURL;
+    this.issuerURL = options.issuerURL;
+    this.crlURL = options.crlURL;
+  }
+
+  // Returns [notBefore, notAfter], with notAfter capped by policy
+  validity(notBefore, notAfter) {
+    notBefore = new Date(notBefore || Date.now());
+    let max = new Date(notBefore.getTime() + (this.maxValiditySeconds * 1000));
+    notAfter = notAfter ? new Date(notAfter) : max;
+    return [notBefore, (notAfter > max)? max : notAfter];
+  }
+
+  // Returns the extensions for a certificate, as ASN.1 objects.  The subject
+  // has:
+  // * serialNumber: Lowercase hex
+  // * publicKey: DER SubjectPublicKeyInfo
+  // * keyType: 'rsa' or 'ec'
+  // * subjectAltName: DER GeneralNames
+  // * emptySubject: Whether the subject name is empty, in which case the
+  //   SAN extension is critical
+  // The issuer is the certificateInfo() of the CA certificate.
+  extensions(subject, issuer) {
+    let extensions = [
+      der.extension(OIDS.basicConstraints, true, der.sequence([])),
+      der.extension(OIDS.keyUsage, true,
+                    der.create(asn1.Type.BITSTRING, false, KEY_USAGE[subject.keyType])),
+      der.extension(OIDS.extKeyUsage, false, der.sequence(this.extendedKeyUsage.map(der.oid))),
+      der.extension(OIDS.subjectKeyIdentifier, false,
+                    der.create(asn1.Type.OCTETSTRING, false, keyIdentifier(subject.publicKey))),
+      der.extension(OIDS.authorityKeyIdentifier, false, der.sequence([
+        der.tagged(0, false, authorityKeyId(issuer))
+      ]))
+    ];
+
+    let access = [];
+    if (this.ocspURL) {
+      access.push(der.sequence([der.oid(OIDS.ocsp), uri(this.ocspURL)]));
+    }
+    if (this.issuerURL) {
+      access.push(der.sequence([der.oid(OIDS.caIssuers), uri(this.issuerURL)]));
+    }
+    if (access.length > 0) {
+      extensions.push(der.extension(OIDS.authorityInfoAccess, false, der.sequence(access)));
+    }
+
+    let policies = this.policies.map(id => der.sequence([der.oid(id)]));
+    extensions.push(der.extension(OIDS.certificatePolicies, false, der.sequence(policies)));
+
+    let crlURL = (typeof this.crlURL === 'function')?
+      this.crlURL(subject.serialNumber) : this.crlURL;
+    if (crlURL) {
+      extensions.push(der.extension(OIDS.crlDistributionPoints, false,
+                                    der.sequence([distributionPoint(crlURL)])));
+    }
+
+    extensions.push(der.extension(OIDS.subjectAltName, subject.emptySubject,
+                                  asn1.fromDer(subject.subjectAltName)));
+    return extensions;
+  }
+}
+
+CertificateProfile.OIDS = OIDS;
+CertificateProfile.authorityKeyId = authorityKeyId;
+CertificateProfile.distributionPoint = distributionPoint;
+
+module.exports = CertificateProfile;
@@ -0,0 +1,169 @@
+'use strict';
+
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const der                = require('./der');
+const pki                = require('./pki');
+const CertificateProfile = require('./certificate-profile');
+
+// Signed lists of the certificates a CA has revoked, optionally partitioned
+// into shards, each with its own distribution point
+// https://tools.ietf.org/html/rfc5280#section-5
+
+const asn1 = forge.asn1;
+
+const OIDS = {
+  crlNumber:                '2.5.29.20',
+  reasonCode:               '2.5.29.21',
+  issuingDistributionPoint: '2.5.29.28'
+};
+
+const DEFAULT_UPDATE_SECONDS = 3600;
+const DEFAULT_VALIDITY_SECONDS = 24 * 3600;
+
+// A positive INTEGER, big-endian with a leading zero byte if needed
+function integer(n) {
+  let hex = n.toString(16);
+  hex = ((hex.length % 2)? '0' : '') + hex;
+  hex = (parseInt(hex[0], 16) >= 8)? '00' + hex : hex;
+  return der.create(asn1.Type.INTEGER, false, forge.util.hexToBytes(hex));
+}
+
+class CRLIssuer {
+  // Options:
+  // * caCert, key: PEM CA certificate and key to sign CRLs with
+  // * certificates: Function returning the CA's certificate records, with
+  //   serialNumber (lowercase hex), status, notAfter, revokedAt and
+  //   revocationReason
+  // * url: Where the CRL is served; with shards, shard n is at url/n
+  // * shards: How many CRLs to partition certificates among (default 1)
+  // * updateSeconds: How long to serve a CRL before producing a new one,
+  //   unless update() is called first
+  // * validitySeconds: How long after thisUpdate nextUpdate is
+  constructor(options) {
+    let ca = pki.certificateInfo(pki.pemToDER(options.caCert));
+    this.issuerName = ca.subject;
+    this.authorityKeyId = CertificateProfile.authorityKeyId(ca);
+
+    this.key = crypto.createPrivateKey(options.key);
+    this.algorithm = pki.signatureAlgorithm(this.key);
+    this.certificates = options.certificates;
+    this.baseURL = options.url;
+    this.shards = options.shards || 1;
+    this.updateSeconds = options.updateSeconds || DEFAULT_UPDATE_SECONDS;
+    this.validitySeconds = options.validitySeconds || DEFAULT_VALIDITY_SECONDS;
+
+    this.lastNumber = 0;
+    this.crls = {};
+  }
+
+  // Certificates are assigned to shards by serial number, so that the shard
+  // is known when the certificate is issued
+  shard(serialNumber) {
+    return parseInt(serialNumber.slice(-8), 16) % this.shards;
+  }
+
+  // The distribution point for a certificate, or for a shard by number
+  url(serialNumber) {
+    if (this.shards === 1) {
+      return this.baseURL;
+    }
+    let shard = (typeof serialNumber === 'number')? serialNumber : this.shard(serialNumber);
+    return `${this.baseURL}/${shard}`;
+  }
+
+  // Discards the current CRLs, so that the next request for each produces a
+  // new one, e.g., after a revocation
+  update() {
+    this.crls = {};
+  }
+
+  // Returns the current DER CRL for a shard, or null if there is no such
+  // shard.  Without shards, the only CRL is shard 0.
+  crl(shard) {
+    shard = (shard === undefined)? 0 : shard;
+    if (!Number.isInteger(shard) || shard < 0 || shard >= this.shards) {
+      return null;
+    }
+
+    let current = this.crls[shard];
+    if (!current || (Date.now() - current.thisUpdate.getTime()) >= this.updateSeconds * 1000) {
+      current = this.generate(shard);
+      this.crls[shard] = current;
+    }
+    return current.der;
+  }
+
+  // CRL numbers increase with each CRL, and are based on the time, so that
+  // they keep increasing when the server restarts
+  nextNumber(thisUpdate) {
+    this.lastNumber = Math.max(thisUpdate.getTime(), this.lastNumber + 1);
+    return this.lastNumber;
+  }
+
+  // Revoked certificates in the shard that have not yet expired
+  revoked(shard, now) {
+    return this.certificates().filter(cert => {
+      return (cert.status === 'revoked') &&
+             (!cert.notAfter || new Date(cert.notAfter) > now) &&
+             (this.shard(cert.serialNumber) === shard);
+    });
+  }
+
+  generate(shard) {
+    let thisUpdate = new Date(Math.floor(Date.now() / 1000) * 1000);
+    let nextUpdate = new Date(thisUpdate.getTime() + (this.validitySeconds * 1000));
+
+    let fields = [
+      // Version 2
+      der.create(asn1.Type.INTEGER, false, '\x01'),
+      this.algorithm.identifier,
+      asn1.fromDer(this.issuerName.toString('binary')),
+      pki.encodeTime(thisUpdate),
+      pki.encodeTime(nextUpdate)
+    ];
+
+    let entries = this.revoked(shard, thisUpdate).map(cert => {
+      let entry = [
+        der.create(asn1.Type.INTEGER, false, forge.util.hexToBytes(cert.serialNumber)),
+        pki.encodeTime(new Date(cert.revokedAt))
+      ];
+      // The reason code is omitted for unspecified (0)
+      if (cert.revocationReason) {
+        entry.push(der.sequence([der.extension(OIDS.reasonCode, false, der.create(
+          asn1.Type.ENUMERATED, false, String.fromCharCode(cert.revocationReason)))]));
+      }
+      return der.sequence(entry);
+    });
+    if (entries.length > 0) {
+      fields.push(der.sequence(entries));
+    }
+
+    let extensions = [
+      der.extension(CertificateProfile.OIDS.authorityKeyIdentifier, false, der.sequence([
+        der.tagged(0, false, this.authorityKeyId)
+      ])),
+      der.extension(OIDS.crlNumber, false, integer(this.nextNumber(thisUpdate)))
+    ];
+    if (this.shards > 1) {
+      // A partial CRL names its distribution point, and covers only
+      // end-entity certificates
+      let idp = CertificateProfile.distributionPoint(this.url(shard));
+      idp.value.push(der.tagged(1, false, '\xff'));
+      extensions.push(der.extension(OIDS.issuingDistributionPoint, true, idp));
+    }
+    fields.push(der.tagged(0, true, [der.sequence(extensions)]));
+
+    let tbs = der.sequence(fields);
+    let signature = pki.sign(tbs, this.algorithm, this.key);
+    let crl = der.sequence([tbs, this.algorithm.identifier, signature]);
+    return {
+      der:        Buffer.from(asn1.toDer(crl).getBytes(), 'binary'),
+      thisUpdate: thisUpdate
+    };
+  }
+}
+
+CRLIssuer.OIDS = OIDS;
+
+module.exports = CRLIssuer;
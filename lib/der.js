@@ -0,0 +1,48 @@
+'use strict';
+
+const forge = require('node-forge');
+
+// Builders for the ASN.1 structures that certificates, CRLs and OCSP
+// responses are made of, as forge objects to DER-encode
+
+const asn1 = forge.asn1;
+
+function create(type, constructed, value) {
+  return asn1.create(asn1.Class.UNIVERSAL, type, constructed, value);
+}
+
+// Context-specific, e.g., [0] EXPLICIT
+function tagged(tag, constructed, value) {
+  return asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, constructed, value);
+}
+
+function sequence(values) {
+  return create(asn1.Type.SEQUENCE, true, values);
+}
+
+// An OID, given as dotted decimal or by its forge name, e.g., 'serverAuth'
+function oid(name) {
+  let id = name.match(/^[0-9.]+$/)? name : forge.pki.oids[name];
+  if (!id) {
+    throw new Error(`Unknown OID ${name}`);
+  }
+  return create(asn1.Type.OID, false, asn1.oidToDer(id).getBytes());
+}
+
+// Extension = (extnID, critical DEFAULT FALSE, extnValue)
+function extension(id, critical, value) {
+  let fields = [oid(id)];
+  if (critical) {
+    fields.push(create(asn1.Type.BOOLEAN, false, '\xff'));
+  }
+  fields.push(create(asn1.Type.OCTETSTRING, false, asn1.toDer(value).getBytes()));
+  return sequence(fields);
+}
+
+module.exports = {
+  create:    create,
+  tagged:    tagged,
+  sequence:  sequence,
+  oid:       oid,
+  extension: extension
+};
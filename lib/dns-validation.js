@@ -0,0 +1,101 @@
+'use strict';
+
+const crypto     = require('crypto');
+const dns        = require('native-dns');
+const jose       = require('node-jose');
+const Validation = require('./validation');
+
+// Implements the DNS challenge
+// https://ietf-wg-acme.github.io/acme/#dns-challenge
+
+const DEFAULT_TIMEOUT = 5000;
+const LABEL = '_acme-challenge.';
+
+class DNSValidation extends Validation {
+  // Options:
+  // * server: Resolver to query, as {address, port}; defaults to the first
+  //   name server in the system configuration
+  // * timeout: Milliseconds to wait for an answer
+  constructor(name, thumbprint, options) {
+    super(name, thumbprint, options);
+    this.type = DNSValidation.type;
+    this.server = this.options.server;
+    this.timeout = this.options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  // The only challenge that can validate wildcard names, and one that cannot
+  // validate IP addresses
+  static supports(id) {
+    return (id.type === 'dns');
+  }
+
+  // The TXT record lives under the base domain for wildcard names
+  recordName() {
+    return LABEL + this.name.replace(/^\*\./, '');
+  }
+
+  digest() {
+    let hash = crypto.createHash('sha256').update(this.keyAuthorization).digest();
+    return jose.util.base64url.encode(hash);
+  }
+
+  validate() {
+    let expected = this.digest();
+    return this.lookup()
+      .then(values => {
+        if (values.indexOf(expected) < 0) {
+          throw Validation.failure('incorrectResponse',
+            `No TXT record at ${this.recordName()} matches the key authorization`);
+        }
+      });
+  }
+
+  lookup() {
+    let name = this.recordName();
+    let server = this.server || dns.platform.name_servers[0];
+    if (!server) {
+      return Promise.reject(Validation.failure('dns', 'No resolver configured'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let values = [];
+      let failed;
+      let req = dns.Request({
+        question: dns.Question({name: name, type: 'TXT'}),
+        server:   {address: server.address, port: server.port || 53, type: 'udp'},
+        timeout:  this.timeout,
+        cache:    false
+      });
+
+      req.on('message', (err, answer) => {
+        if (err) {
+          failed = Validation.failure('dns', `Error querying ${name}: ${err.message}`);
+          return;
+        }
+        if (answer.header.rcode !== dns.consts.NAME_TO_RCODE.NOERROR) {
+          failed = Validation.failure('dns',
+            `Query for ${name} failed with ${dns.consts.RCODE_TO_NAME[answer.header.rcode]}`);
+          return;
+        }
+        answer.answer
+          .filter(rr => (rr.type === dns.consts.NAME_TO_QTYPE.TXT))
+          .forEach(rr => values.push([].concat(rr.data).join('')));
+      });
+      req.on('timeout', () => {
+        failed = Validation.failure('dns', `Timeout querying ${name}`);
+      });
+      req.on('end', () => {
+        if (failed) {
+          reject(failed);
+        } else {
+          resolve(values);
+        }
+      });
+      req.send();
+    });
+  }
+}
+
+DNSValidation.type = 'dns-01';
+
+module.exports = DNSValidation;
@@ -0,0 +1,30 @@
+'use strict';
+
+const fs            = require('fs');
+const MemoryStorage = require('./memory-storage');
+
+// Keeps the server's objects in a JSON file, so that they survive restarts.
+// The whole file is rewritten whenever an object changes, which is simple
+// rather than fast.
+
+class FileStorage extends MemoryStorage {
+  constructor(path) {
+    super();
+    this.path = path;
+    if (fs.existsSync(path)) {
+      this.records = JSON.parse(fs.readFileSync(path, 'utf8'));
+    }
+  }
+
+  save(type, id, obj) {
+    super.save(type, id, obj);
+
+    // Write to a temporary file first, so that a crash cannot leave a
+    // truncated file behind
+    let tmp = this.path + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(this.records));
+    fs.renameSync(tmp, this.path);
+  }
+}
+
+module.exports = FileStorage;
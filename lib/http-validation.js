@@ -0,0 +1,98 @@
+'use strict';
+
+const http       = require('http');
+const net        = require('net');
+const Validation = require('./validation');
+
+// Implements the HTTP challenge
+// https://ietf-wg-acme.github.io/acme/#http-challenge
+
+const DEFAULT_PORT = 80;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_BODY_SIZE = 8192;
+const WELL_KNOWN_PATH = '/.well-known/acme-challenge/';
+
+class HTTPValidation extends Validation {
+  // Options:
+  // * port: Port to connect to (default 80)
+  // * host: Address to connect to instead of the identifier, e.g., so that
+  //   tests can point the validator at a local server
+  // * timeout: Milliseconds to wait for a response
+  constructor(name, thumbprint, options) {
+    super(name, thumbprint, options);
+    this.type = HTTPValidation.type;
+    this.port = this.options.port || DEFAULT_PORT;
+    this.host = this.options.host || name;
+    this.timeout = this.options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  // IP addresses too (RFC 8738 section 4)
+  static supports(id) {
+    return (id.type === 'ip') || Validation.supports(id);
+  }
+
+  validate() {
+    return this.fetch()
+      .then(body => {
+        if (body.trim() !== this.keyAuthorization) {
+          throw Validation.failure('incorrectResponse',
+            `Key authorization mismatch at ${this.url()}`);
+        }
+      });
+  }
+
+  // IPv6 addresses are bracketed in URLs and Host headers
+  hostHeader() {
+    return net.isIPv6(this.name)? `[${this.name}]` : this.name;
+  }
+
+  url() {
+    let hostport = (this.port === DEFAULT_PORT)? this.hostHeader()
+                                               : `${this.hostHeader()}:${this.port}`;
+    return `http://${hostport}${WELL_KNOWN_PATH}${this.token}`;
+  }
+
+  fetch() {
+    return new Promise((resolve, reject) => {
+      let req = http.get({
+        host:    this.host,
+        port:    this.port,
+        path:    WELL_KNOWN_PATH + this.token,
+        headers: {host: this.hostHeader()}
+      }, res => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(Validation.failure('unauthorized',
+            `Got status ${res.statusCode} from ${this.url()}`));
+          return;
+        }
+
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (body.length > MAX_BODY_SIZE) {
+            req.abort();
+            reject(Validation.failure('unauthorized',
+              `Response from ${this.url()} is too large`));
+          }
+        });
+        res.on('end', () => resolve(body));
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.abort();
+        reject(Validation.failure('connection',
+          `Timeout fetching ${this.url()}`));
+      });
+      req.on('error', err => {
+        reject(Validation.failure('connection',
+          `Error fetching ${this.url()}: ${err.message}`));
+      });
+    });
+  }
+}
+
+HTTPValidation.type = 'http-01';
+
+module.exports = HTTPValidation;
@@ -0,0 +1,154 @@
+'use strict';
+
+const fs         = require('fs');
+const net        = require('net');
+const psl        = require('psl');
+const identifier = require('./identifier');
+
+// Decides which identifiers a CA is willing to issue for, beyond their being
+// well-formed.  The rules can come from a JSON file, which is re-read when it
+// changes, so that operators can update them without a restart.
+
+const DEFAULT_RELOAD_INTERVAL = 5000;
+
+// Whether a DNS name is a zone or in it
+function inZone(name, zone) {
+  return (name === zone) || name.endsWith('.' + zone);
+}
+
+// Zones and IP address ranges, e.g., ['not-example.com', '192.0.2.0/24']
+class IdentifierList {
+  constructor(entries) {
+    this.zones = [];
+    this.addresses = new net.BlockList();
+    this.empty = (entries.length === 0);
+
+    entries.forEach(entry => {
+      if (typeof entry !== 'string') {
+        throw new TypeError(`Invalid policy entry ${entry}`);
+      }
+      let parts = entry.split('/');
+      let ip = identifier.canonicalIP(parts[0]);
+      let type = `ipv${net.isIP(parts[0])}`;
+      if (ip && parts.length === 1) {
+        this.addresses.addAddress(ip, type);
+      } else if (ip && parts.length === 2 && parts[1].match(/^[0-9]+$/)) {
+        this.addresses.addSubnet(ip, parseInt(parts[1], 10), type);
+      } else if (identifier.isDNSName(entry.toLowerCase()) &&
+                 !identifier.isWildcard(entry)) {
+        this.zones.push(entry.toLowerCase());
+      } else {
+        throw new TypeError(`Invalid policy entry ${entry}`);
+      }
+    });
+  }
+
+  // Wildcard names are matched by the name they cover
+  has(id) {
+    if (id.type === 'ip') {
+      return this.addresses.check(id.value, `ipv${net.isIP(id.value)}`);
+    }
+    let name = identifier.baseName(id.value);
+    return this.zones.some(zone => inZone(name, zone));
+  }
+}
+
+class IdentifierPolicy {
+  // Options:
+  // * allow: Zones that DNS names must be in and IP addresses or CIDR ranges
+  //   that IP addresses must be in; by default, any identifier is allowed
+  //   that is not otherwise refused
+  // * deny: Zones and IP addresses or CIDR ranges to refuse
+  // * denyPatterns: Regular expressions, or strings of them, for identifier
+  //   values to refuse, e.g., '^test-'
+  // * publicSuffixes: Whether to issue for public suffixes such as co.uk,
+  //   and wildcards for them (default false)
+  // * maxNames: The most identifiers an order may have
+  // * file: JSON file to take the options above from instead
+  // * reloadInterval: Milliseconds between checks for changes to file
+  constructor(options) {
+    options = options || {};
+    this.file = options.file;
+    this.error = null;
+
+    if (!this.file) {
+      this.load(options);
+      return;
+    }
+
+    this.reload();
+    if (this.error) {
+      throw this.error;
+    }
+    this.listener = () => this.reload();
+    fs.watchFile(this.file, {
+      persistent: false,
+      interval:   options.reloadInterval || DEFAULT_RELOAD_INTERVAL
+    }, this.listener);
+  }
+
+  // Replaces the rules, leaving the old ones in place if the new ones are
+  // invalid
+  load(rules) {
+    let allow = new IdentifierList(rules.allow || []);
+    let deny = new IdentifierList(rules.deny || []);
+    let denyPatterns = (rules.denyPatterns || []).map(x => new RegExp(x));
+    if (rules.maxNames !== undefined &&
+        !(Number.isInteger(rules.maxNames) && rules.maxNames > 0)) {
+      throw new TypeError('maxNames must be a positive integer');
+    }
+
+    this.allow = allow;
+    this.deny = deny;
+    this.denyPatterns = denyPatterns;
+    this.publicSuffixes = !!rules.publicSuffixes;
+    this.maxNames = rules.maxNames;
+  }
+
+  // Re-reads the file.  If it cannot be read or its rules are invalid, the
+  // error is kept in this.error and the current rules stay in force.
+  reload() {
+    try {
+      this.load(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+      this.error = null;
+    } catch (e) {
+      this.error = e;
+    }
+  }
+
+  // Stops watching the file
+  close() {
+    if (this.listener) {
+      fs.unwatchFile(this.file, this.listener);
+      this.listener = null;
+    }
+  }
+
+  // Returns why an order for the identifiers is refused as a whole, or null
+  refuseOrder(identifiers) {
+    if (this.maxNames && identifiers.length > this.maxNames) {
+      return `Orders may have at most ${this.maxNames} identifiers`;
+    }
+    return null;
+  }
+
+  // Returns why a canonical identifier is refused, or null
+  refuse(id) {
+    let name = identifier.baseName(id.value);
+    if (this.deny.has(id)) {
+      return `Policy forbids issuing for ${id.value}`;
+    }
+    if (this.denyPatterns.some(pattern => pattern.test(id.value))) {
+      return `Policy forbids issuing for names like ${id.value}`;
+    }
+    if (id.type === 'dns' && !this.publicSuffixes && !psl.get(name)) {
+      return `${name} is a public suffix`;
+    }
+    if (!this.allow.empty && !this.allow.has(id)) {
+      return `Policy does not allow issuing for ${id.value}`;
+    }
+    return null;
+  }
+}
+
+module.exports = IdentifierPolicy;
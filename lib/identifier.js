@@ -0,0 +1,159 @@
+'use strict';
+
+const net = require('net');
+
+// The kinds of identifier that certificates can be issued for: DNS names,
+// which may have a wildcard as their first label, and IP addresses
+// https://tools.ietf.org/html/rfc8555#section-7.1.4
+// https://tools.ietf.org/html/rfc8738
+
+const TYPES = ['dns', 'ip'];
+const DNS_RE = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/;
+const WILDCARD_PREFIX = '*.';
+
+function failure(type, message) {
+  let err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+function isWildcard(name) {
+  return name.startsWith(WILDCARD_PREFIX);
+}
+
+// The name a wildcard covers, or the name itself
+function baseName(name) {
+  return isWildcard(name)? name.slice(WILDCARD_PREFIX.length) : name;
+}
+
+// DNS names, lowercased, with an optional wildcard label
+function isDNSName(name) {
+  return !!baseName(name).match(DNS_RE);
+}
+
+// IPv6 addresses are compressed and lowercased, so that each address has one
+// form.  Returns null for anything that is not an IP address, including ones
+// with an IPv6 zone.
+function canonicalIP(value) {
+  if (value.indexOf('%') >= 0) {
+    return null;
+  }
+  switch (net.isIP(value)) {
+    case 4: return value;
+    case 6: return fromBytes(toBytes(value));
+    default: return null;
+  }
+}
+
+// The 4 or 16 bytes of an IP address, as in an iPAddress SAN
+function toBytes(ip) {
+  if (net.isIPv4(ip)) {
+    return Buffer.from(ip.split('.').map(x => parseInt(x, 10)));
+  }
+
+  // Expand :: into enough zero groups to make eight, and an embedded IPv4
+  // address into two groups
+  let groups = ip.toLowerCase().split(':');
+  let last = groups[groups.length - 1];
+  if (net.isIPv4(last)) {
+    let bytes = toBytes(last);
+    groups.splice(-1, 1, bytes.readUInt16BE(0).toString(16),
+                  bytes.readUInt16BE(2).toString(16));
+  }
+  let gap = groups.indexOf('');
+  if (gap >= 0) {
+    let present = groups.filter(x => x !== '');
+    let zeros = new Array(8 - present.length).fill('0');
+    let before = groups.slice(0, gap).filter(x => x !== '');
+    groups = before.concat(zeros, present.slice(before.length));
+  }
+
+  let bytes = Buffer.alloc(16);
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+}
+
+// The text form of an IP address from its bytes, with the longest run of
+// zero groups in an IPv6 address compressed (RFC 5952)
+function fromBytes(bytes) {
+  if (bytes.length === 4) {
+    return Array.from(bytes).join('.');
+  }
+  if (bytes.length !== 16) {
+    throw new Error(`IP address has ${bytes.length} bytes`);
+  }
+
+  let groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+
+  let best = {start: -1, length: 0};
+  let run = {start: -1, length: 0};
+  groups.forEach((group, i) => {
+    if (group !== '0') {
+      run = {start: -1, length: 0};
+      return;
+    }
+    run = (run.start < 0)? {start: i, length: 1} : {start: run.start, length: run.length + 1};
+    if (run.length > best.length) {
+      best = run;
+    }
+  });
+  if (best.length < 2) {
+    return groups.join(':');
+  }
+
+  let head = groups.slice(0, best.start).join(':');
+  let tail = groups.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+}
+
+// The reverse-mapping DNS name for an IP address, which stands in for it
+// where only a name will do, e.g., in TLS SNI (RFC 8738 section 6)
+function reverseName(ip) {
+  let bytes = toBytes(ip);
+  if (bytes.length === 4) {
+    return Array.from(bytes).reverse().join('.') + '.in-addr.arpa';
+  }
+  return bytes.toString('hex').split('').reverse().join('.') + '.ip6.arpa';
+}
+
+// Returns an identifier from a client in its canonical form, or throws an
+// error with the type of ACME problem it is, e.g., unsupportedIdentifier
+function check(identifier) {
+  if (!identifier || typeof identifier.type !== 'string' ||
+      typeof identifier.value !== 'string' || !identifier.value) {
+    throw failure('malformed', 'Invalid identifier');
+  }
+  if (TYPES.indexOf(identifier.type) < 0) {
+    throw failure('unsupportedIdentifier',
+                  `Identifier type ${identifier.type} is not supported`);
+  }
+
+  if (identifier.type === 'ip') {
+    let ip = canonicalIP(identifier.value);
+    if (!ip) {
+      throw failure('malformed', `${identifier.value} is not an IP address`);
+    }
+    return {type: 'ip', value: ip};
+  }
+
+  let name = identifier.value.toLowerCase();
+  if (!isDNSName(name)) {
+    throw failure('malformed', `${identifier.value} is not a DNS name`);
+  }
+  return {type: 'dns', value: name};
+}
+
+module.exports = {
+  TYPES:       TYPES,
+  isWildcard:  isWildcard,
+  baseName:    baseName,
+  isDNSName:   isDNSName,
+  canonicalIP: canonicalIP,
+  toBytes:     toBytes,
+  fromBytes:   fromBytes,
+  reverseName: reverseName,
+  check:       check
+};
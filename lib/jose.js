@@ -5,6 +5,14 @@ let jose = require('node-jose');
 // Implements ACME's additional requirements on JWS
 // https://ietf-wg-acme.github.io/acme/#request-authentication
 
+const MAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+function parseHeader(jws) {
+  let headerBytes = jose.util.base64url.decode(jws.protected);
+  let headerJSON = jose.util.utf8.encode(headerBytes);
+  return JSON.parse(headerJSON);
+}
+
 class ACMEJose {
   constructor(acmeVersion = 'ietf-draft') {
     this.acmeVersion = acmeVersion;
@@ -15,8 +23,12 @@ class ACMEJose {
       : jose.JWK.createKeyStore().generate('EC', 'P-256');
   }
 
+  // Requests for an existing account identify its key by the account URL in
+  // a kid header field; others carry the key itself
   sign(key, obj, header) {
-    header.jwk = key.toJSON();
+    if (!header.kid) {
+      header.jwk = key.toJSON();
+    }
 
     if (!header.nonce) {
       throw new Error('Header must provide nonce');
@@ -31,25 +43,123 @@ class ACMEJose {
       format: 'flattened',
       fields: header
     };
-    return jose.JWS.createSign(opts, key)
+
+    // Without reference: false, node-jose adds the key's own kid, which
+    // would clash with the jwk or with the account URL as kid
+    return jose.JWS.createSign(opts, {key: key, reference: false})
       .update(payload)
       .final();
   }
 
+  // Signs a JWS to be nested inside another one, as for key changes.  These
+  // carry the signing key but no nonce.
+  signInner(key, obj, url) {
+    let opts = {
+      format: 'flattened',
+      fields: {jwk: key.toJSON(), url: url}
+    };
+    return jose.JWS.createSign(opts, {key: key, reference: false})
+      .update(JSON.stringify(obj))
+      .final();
+  }
+
+  // Signs an external account binding: a JWS over the account key, MACed with
+  // a key that the CA issued out of band under the given key ID
+  signMAC(kid, macKey, obj, url) {
+    let opts = {
+      format: 'flattened',
+      fields: {alg: 'HS256', kid: kid, url: url}
+    };
+    return jose.JWK.asKey({kty: 'oct', k: macKey})
+      .then(key => jose.JWS.createSign(opts, {key: key, reference: false})
+        .update(JSON.stringify(obj))
+        .final());
+  }
+
+  // Verifies an external account binding, given the protected header of the
+  // JWS it was sent in.  getMACKey resolves the kid to a base64url MAC key, or
+  // throws if there is none.
+  verifyMAC(jws, outerHeader, getMACKey) {
+    if (!jws || !jws.protected || !('payload' in jws) || !jws.signature) {
+      return Promise.reject(new Error('External account binding is not a flattened JWS'));
+    }
+
+    let header;
+    try {
+      header = parseHeader(jws);
+    } catch (e) {
+      return Promise.reject(new Error('Malformed external account binding header'));
+    }
+
+    if (MAC_ALGORITHMS.indexOf(header.alg) < 0 || !header.kid) {
+      return Promise.reject(new Error('External account binding must be MACed under a kid'));
+    }
+    if ('nonce' in header) {
+      return Promise.reject(new Error('External account binding must not have a nonce'));
+    }
+    if (header.url !== outerHeader.url) {
+      return Promise.reject(new Error('External account binding and outer JWS url must match'));
+    }
+
+    return new Promise(res => res(getMACKey(header.kid)))
+      .then(macKey => jose.JWK.asKey({kty: 'oct', k: macKey}))
+      .then(key => jose.JWS.createVerify(key).verify(jws, {algorithms: MAC_ALGORITHMS})
+        .catch(() => {
+          throw new Error('External account binding MAC does not verify');
+        }))
+      .then(result => {
+        result.payload = JSON.parse(result.payload);
+        return result;
+      });
+  }
+
+  // Verifies a JWS nested inside another one, given the protected header of
+  // the outer JWS
+  verifyInner(jws, outerHeader) {
+    if (!jws || !jws.protected || !('payload' in jws) || !jws.signature) {
+      return Promise.reject(new Error('Inner JWS is not a flattened JWS'));
+    }
+
+    let header;
+    try {
+      header = parseHeader(jws);
+    } catch (e) {
+      return Promise.reject(new Error('Malformed inner JWS header'));
+    }
+
+    if (!header.alg || !header.jwk || header.kid) {
+      return Promise.reject(new Error('Inner JWS must be signed with a jwk'));
+    }
+    if ('nonce' in header) {
+      return Promise.reject(new Error('Inner JWS must not have a nonce'));
+    }
+    if (header.url !== outerHeader.url) {
+      return Promise.reject(new Error('Inner and outer JWS url must match'));
+    }
+
+    return jose.JWK.asKey(header.jwk)
+      .then(key => jose.JWS.createVerify(key).verify(jws))
+      .then(result => {
+        result.payload = JSON.parse(result.payload);
+        return result;
+      });
+  }
+
   verify(jws, getKey) {
     if (!jws.protected || !("payload" in jws) || !jws.signature) {
       return Promise.reject(new Error('Non-flattened JWS'));
     }
 
-    let header = {};
-    let headerBytes = jose.util.base64url.decode(jws.protected);
-    let headerJSON = jose.util.utf8.encode(headerBytes);
-    header = JSON.parse(headerJSON);
+    let header = parseHeader(jws);
 
     if (!header.alg || !(header.kid || header.jwk) || !header.nonce) {
       return Promise.reject(new Error('Missing field in protected header'));
     }
 
+    if (header.kid && header.jwk) {
+      return Promise.reject(new Error('Header must not have both kid and jwk'));
+    }
+
     if (this.acmeVersion != 'le' && !header.url) {
       return Promise.reject(new Error('Header must provide url'));
     }
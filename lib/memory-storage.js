@@ -0,0 +1,26 @@
+'use strict';
+
+// Keeps the server's objects in memory, so they are lost when the process
+// exits.  Objects are stored as their JSON serialization, by type and ID, so
+// that they come back out of storage just as they would from a persistent
+// store.
+
+class MemoryStorage {
+  constructor() {
+    this.records = {};
+  }
+
+  // Returns the stored records as a map from type to a map from ID to record
+  load() {
+    return this.records;
+  }
+
+  save(type, id, obj) {
+    if (!this.records[type]) {
+      this.records[type] = {};
+    }
+    this.records[type][id] = JSON.parse(JSON.stringify(obj));
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,200 @@
+'use strict';
+
+const crypto = require('crypto');
+const forge  = require('node-forge');
+const der    = require('./der');
+const pki    = require('./pki');
+
+// Answers OCSP requests about the certificates a CA has issued
+// https://tools.ietf.org/html/rfc6960
+
+const asn1 = forge.asn1;
+
+const OID_BASIC_RESPONSE = '1.3.6.1.5.5.7.48.1.1';
+const OID_NONCE = '1.3.6.1.5.5.7.48.1.2';
+const DEFAULT_VALIDITY_SECONDS = 24 * 3600;
+
+const RESPONSE_STATUS = {
+  successful:       0,
+  malformedRequest: 1,
+  internalError:    2,
+  unauthorized:     6
+};
+
+// Hashes that CertIDs may use, by OID
+const HASHES = {
+  '1.3.14.3.2.26':          'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+function generalizedTime(date) {
+  return der.create(asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+}
+
+function toBuffer(obj) {
+  return Buffer.from(asn1.toDer(obj).getBytes(), 'binary');
+}
+
+// The subjectPublicKey BIT STRING contents of a DER SubjectPublicKeyInfo
+function publicKeyBits(spki) {
+  let info = asn1.fromDer(spki.toString('binary'), {decodeBitStrings: false});
+  return Buffer.from(info.value[1].value.slice(1), 'binary');
+}
+
+function hash(algorithm, data) {
+  return crypto.createHash(algorithm).update(data).digest().toString('binary');
+}
+
+// OCSPRequest = ((version, requestorName, requestList, requestExtensions),
+//                optionalSignature)
+// Returns the CertIDs of the requests, parsed, and the nonce extension, if
+// any, as ASN.1 objects.
+function parseRequest(body) {
+  let req = asn1.fromDer(body.toString('binary'));
+  let tbs = req.value[0].value;
+  let requestList = tbs.filter(x => (x.tagClass === asn1.Class.UNIVERSAL))[0];
+  let extensions = tbs.filter(x => (x.tagClass === asn1.Class.CONTEXT_SPECIFIC &&
+                                    x.type === 2))[0];
+  if (!requestList || requestList.value.length === 0) {
+    throw new Error('No requests');
+  }
+
+  let certIDs = requestList.value.map(request => {
+    let certID = request.value[0];
+    return {
+      asn1:           certID,
+      hash:           HASHES[asn1.derToOid(certID.value[0].value[0].value)],
+      issuerNameHash: certID.value[1].value,
+      issuerKeyHash:  certID.value[2].value,
+      serialNumber:   forge.util.bytesToHex(certID.value[3].value)
+    };
+  });
+
+  let nonce = extensions && extensions.value[0].value.filter(ext => {
+    return asn1.derToOid(ext.value[0].value) === OID_NONCE;
+  })[0];
+
+  return {certIDs: certIDs, nonce: nonce};
+}
+
+class OCSPResponder {
+  // Options:
+  // * caCert: PEM certificate of the CA whose certificates to answer for
+  // * key: PEM key to sign responses with
+  // * cert: PEM certificate for key, issued by the CA with the OCSPSigning
+  //   EKU, if the CA delegates signing; otherwise key is the CA key
+  // * lookup: Function from a serial number (lowercase hex) to the
+  //   certificate record, with status, revokedAt and revocationReason, or
+  //   null if the CA did not issue it
+  // * validitySeconds: How long responses are good for
+  constructor(options) {
+    let ca = pki.certificateInfo(pki.pemToDER(options.caCert));
+    this.issuerName = ca.subject;
+    this.issuerKey = publicKeyBits(ca.publicKey);
+
+    this.key = crypto.createPrivateKey(options.key);
+    this.algorithm = pki.signatureAlgorithm(this.key);
+    this.cert = options.cert && pki.pemToDER(options.cert);
+    let signer = this.cert ? pki.certificateInfo(this.cert) : ca;
+    this.responderID = hash('sha1', publicKeyBits(signer.publicKey));
+
+    this.lookup = options.lookup;
+    this.validitySeconds = options.validitySeconds || DEFAULT_VALIDITY_SECONDS;
+  }
+
+  // Returns the DER OCSPResponse to a DER OCSPRequest.  Problems with the
+  // request are reported in the response, rather than thrown.
+  respond(body) {
+    let request;
+    try {
+      request = parseRequest(body);
+    } catch (e) {
+      return this.failure(RESPONSE_STATUS.malformedRequest);
+    }
+
+    if (!request.certIDs.every(certID => this.isIssuer(certID))) {
+      return this.failure(RESPONSE_STATUS.unauthorized);
+    }
+
+    try {
+      return this.sign(request);
+    } catch (e) {
+      return this.failure(RESPONSE_STATUS.internalError);
+    }
+  }
+
+  // Whether a CertID names this responder's CA as the issuer
+  isIssuer(certID) {
+    if (!certID.hash) {
+      return false;
+    }
+    return (certID.issuerNameHash === hash(certID.hash, this.issuerName)) &&
+           (certID.issuerKeyHash === hash(certID.hash, this.issuerKey));
+  }
+
+  // CertStatus = good [0] | revoked [1] | unknown [2]
+  certStatus(serialNumber) {
+    let cert = this.lookup(serialNumber);
+    if (!cert) {
+      return der.tagged(2, false, '');
+    } else if (cert.status !== 'revoked') {
+      return der.tagged(0, false, '');
+    }
+
+    let revoked = [generalizedTime(new Date(cert.revokedAt))];
+    if (cert.revocationReason) {
+      revoked.push(der.tagged(0, true, [
+        der.create(asn1.Type.ENUMERATED, false, String.fromCharCode(cert.revocationReason))
+      ]));
+    }
+    return der.tagged(1, true, revoked);
+  }
+
+  sign(request) {
+    let now = new Date(Math.floor(Date.now() / 1000) * 1000);
+    let nextUpdate = new Date(now.getTime() + (this.validitySeconds * 1000));
+
+    let responses = request.certIDs.map(certID => der.sequence([
+      certID.asn1,
+      this.certStatus(certID.serialNumber),
+      generalizedTime(now),
+      der.tagged(0, true, [generalizedTime(nextUpdate)])
+    ]));
+
+    // ResponseData = (version, responderID, producedAt, responses, extensions)
+    let data = [
+      der.tagged(2, true, [der.create(asn1.Type.OCTETSTRING, false, this.responderID)]),
+      generalizedTime(now),
+      der.sequence(responses)
+    ];
+    if (request.nonce) {
+      data.push(der.tagged(1, true, [der.sequence([request.nonce])]));
+    }
+    let tbs = der.sequence(data);
+
+    let basic = [tbs, this.algorithm.identifier, pki.sign(tbs, this.algorithm, this.key)];
+    if (this.cert) {
+      basic.push(der.tagged(0, true, [der.sequence([
+        asn1.fromDer(this.cert.toString('binary'), {decodeBitStrings: false})
+      ])]));
+    }
+
+    return toBuffer(der.sequence([
+      der.create(asn1.Type.ENUMERATED, false, String.fromCharCode(RESPONSE_STATUS.successful)),
+      der.tagged(0, true, [der.sequence([
+        der.oid(OID_BASIC_RESPONSE),
+        der.create(asn1.Type.OCTETSTRING, false, asn1.toDer(der.sequence(basic)).getBytes())
+      ])])
+    ]));
+  }
+
+  failure(status) {
+    return toBuffer(der.sequence([
+      der.create(asn1.Type.ENUMERATED, false, String.fromCharCode(status))
+    ]));
+  }
+}
+
+module.exports = OCSPResponder;
@@ -1,149 +1,510 @@
 'use strict';
 
-const forge = require('node-forge');
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const CertificateProfile = require('./certificate-profile');
+const identifier         = require('./identifier');
 
-let DNS_RE = /^([a-z0-9][a-z0-9-]{1,62}\.)+[a-z][a-z0-9-]{0,62}$/;
+const OID_COMMON_NAME = '2.5.4.3';
+const OID_EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+const OID_SUBJECT_ALT_NAME = '2.5.29.17';
+const DNS_NAME_TAG = 2;
+const IP_ADDRESS_TAG = 7;
+const MIN_RSA_BITS = 2048;
+const CURVES = ['prime256v1', 'secp384r1'];
 
-function parseCSR(base64url) {
-  // Convert to normal base64
+// Signature algorithms acceptable on a CSR, with the hash and key type of each
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.11': {hash: 'sha256', key: 'rsa'},
+  '1.2.840.113549.1.1.12': {hash: 'sha384', key: 'rsa'},
+  '1.2.840.113549.1.1.13': {hash: 'sha512', key: 'rsa'},
+  '1.2.840.10045.4.3.2':   {hash: 'sha256', key: 'ec'},
+  '1.2.840.10045.4.3.3':   {hash: 'sha384', key: 'ec'},
+  '1.2.840.10045.4.3.4':   {hash: 'sha512', key: 'ec'}
+};
+
+function toBase64(base64url) {
   let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
   while (base64.length % 4 !== 0) {
     base64 += '=';
   }
+  return base64;
+}
 
-  // Append PEM tags for CERTIFICATE REQUEST
-  let pem = '-----BEGIN CERTIFICATE REQUEST-----\n'
-          + base64 + '\n'
-          + '-----END CERTIFICATE REQUEST-----\n';
+function toBase64url(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
 
-  // Parse with Forge
-  let csr = forge.pki.certificationRequestFromPem(pem);
+function toDER(obj) {
+  return Buffer.from(forge.asn1.toDer(obj).getBytes(), 'binary');
+}
 
-  return csr;
+// Extensions may be allowed by OID or by forge name, e.g., 'keyUsage'
+function extensionOID(name) {
+  return name.match(/^[0-9.]+$/)? name : forge.pki.oids[name];
 }
 
-function checkCSR(base64url) {
-  let csr = parseCSR(base64url);
+// Splits a DER CSR (or base64url thereof) into its parts, without caring
+// what kind of key it is for:
+// CSR = ((version, subject, spki, attributes), signatureAlgorithm, signature)
+function decodeCSR(der) {
+  if (typeof der === 'string') {
+    der = Buffer.from(toBase64(der), 'base64');
+  }
 
-  // Set:
-  // * error
-  // * names
-  // CSR = (version, subject, spki, attributes)
+  let asn1 = forge.asn1;
+  let csr;
+  try {
+    csr = asn1.fromDer(der.toString('binary'), {decodeBitStrings: false});
+  } catch (e) {
+    throw new Error('Malformed CSR');
+  }
+  let info = csr.value[0];
+  if (!Array.isArray(csr.value) || csr.value.length !== 3 || !info || info.value.length !== 4 ||
+      info.value[0].type !== asn1.Type.INTEGER ||
+      info.value[1].type !== asn1.Type.SEQUENCE ||
+      info.value[2].type !== asn1.Type.SEQUENCE ||
+      info.value[3].tagClass !== asn1.Class.CONTEXT_SPECIFIC ||
+      csr.value[2].type !== asn1.Type.BITSTRING) {
+    throw new Error('Malformed CSR');
+  }
 
-  // No elements to Subject besides CN
-  let commonName;
-  csr.subject.attributes.map(attr => {
-    if (attr.name !== 'commonName') {
-      return {error: 'Subject must have only commonName'};
-    } else if (commonName) {
-      return {error: 'Subject has multiple commonName values'};
-    }
+  return {
+    info:       toDER(info),
+    version:    asn1.derToInteger(info.value[0].value),
+    subject:    info.value[1],
+    publicKey:  toDER(info.value[2]),
+    attributes: info.value[3].value,
+    algorithm:  asn1.derToOid(csr.value[1].value[0].value),
+    // Skip the count of unused bits
+    signature:  Buffer.from(csr.value[2].value.slice(1), 'binary')
+  };
+}
 
-    commonName = attr.value.toLowerCase();
-    if (!commonName.match(DNS_RE)) {
-      return {error: 'Subject commonName is not a DNS name'};
+function checkKey(csr) {
+  let key;
+  try {
+    key = crypto.createPublicKey({key: csr.publicKey, format: 'der', type: 'spki'});
+  } catch (e) {
+    throw new Error('Unsupported public key');
+  }
+
+  let details = key.asymmetricKeyDetails;
+  if (key.asymmetricKeyType === 'rsa') {
+    if (details.modulusLength < MIN_RSA_BITS) {
+      throw new Error(`RSA key must be at least ${MIN_RSA_BITS} bits`);
     }
-  });
+  } else if (key.asymmetricKeyType === 'ec') {
+    if (CURVES.indexOf(details.namedCurve) < 0) {
+      throw new Error(`Curve ${details.namedCurve} is not allowed`);
+    }
+  } else {
+    throw new Error(`Key type ${key.asymmetricKeyType} is not allowed`);
+  }
 
-  // Key has an acceptable algorithm / length
-  // XXX: Forge doesn't really allow us to inspect this
+  return key;
+}
 
-/*
-  if (csr.publicKey.n.bitLength() < 2048) {
-    throw new Error("Key too small");
+function checkSignature(csr, key) {
+  let algorithm = SIGNATURE_ALGORITHMS[csr.algorithm];
+  if (!algorithm) {
+    throw new Error(`Signature algorithm ${csr.algorithm} is not allowed`);
+  } else if (algorithm.key !== key.asymmetricKeyType) {
+    throw new Error('Signature algorithm does not match the key');
   }
-*/
 
-  // No attributes besides extensionRequest
-  let extensions = [];
-  csr.attributes.map(attr => {
-    if (attr.name !== 'extensionRequest') {
-      return {error: 'No attributes besides extensionRequest allowed'};
-    } else if (extensions.length > 0) {
-      return {error: 'Multiple extensionRequest attributes'};
-    }
+  if (!crypto.verify(algorithm.hash, csr.info, key, csr.signature)) {
+    throw new Error('CSR signature does not verify');
+  }
+}
 
-    extensions = attr.extensions;
+// Returns the commonName of the subject, if there is one.  No elements to
+// the subject besides CN.
+function checkSubject(csr) {
+  let asn1 = forge.asn1;
+  let commonName;
+  csr.subject.value.forEach(rdn => {
+    rdn.value.forEach(attr => {
+      if (asn1.derToOid(attr.value[0].value) !== OID_COMMON_NAME) {
+        throw new Error('Subject must have only commonName');
+      } else if (commonName) {
+        throw new Error('Subject has multiple commonName values');
+      }
+
+      commonName = attr.value[1].value.toLowerCase();
+      if (!identifier.isDNSName(commonName) && !identifier.canonicalIP(commonName)) {
+        throw new Error('Subject commonName is not a DNS name or IP address');
+      }
+    });
   });
+  return commonName;
+}
 
-  // No extensions besides SAN
-  let sans = [];
-  extensions.map(extn => {
-    if (extn.name !== 'subjectAltName') {
-      return {error: 'Forbidden extension type'};
-    } else if (sans.length > 0) {
-      return {error: 'Multiple SAN extensions'};
+// Returns the extensions requested by the CSR, as ASN.1 objects.  No
+// attributes besides extensionRequest.
+function requestedExtensions(csr) {
+  let asn1 = forge.asn1;
+  let requests = csr.attributes.filter(attr => {
+    if (asn1.derToOid(attr.value[0].value) !== OID_EXTENSION_REQUEST) {
+      throw new Error('No attributes besides extensionRequest allowed');
     }
-
-    sans = extn.altNames;
+    return true;
   });
+  if (requests.length > 1) {
+    throw new Error('Multiple extensionRequest attributes');
+  } else if (requests.length === 0) {
+    return [];
+  }
 
-  // No SANs besides dNSName
-  // CN and all dNSNames MUST be DNS names
-  let names = {};
-  if (commonName) {
-    names[commonName] = true;
+  let values = requests[0].value[1].value;
+  if (values.length !== 1) {
+    throw new Error('extensionRequest must have a single value');
   }
-  sans.map(san => {
-    if (san.type !== 2) {
-      return {error: 'Non-dNSName SAN'};
+  return values[0].value;
+}
+
+// Returns the requested extensions, as a map from OID to the DER content of
+// extnValue.  No extensions besides SAN and those the policy allows.
+function checkExtensions(csr, allowed) {
+  let asn1 = forge.asn1;
+  allowed = [OID_SUBJECT_ALT_NAME].concat((allowed || []).map(extensionOID));
+  let extensions = {};
+  requestedExtensions(csr).forEach(ext => {
+    let id = asn1.derToOid(ext.value[0].value);
+    if (allowed.indexOf(id) < 0) {
+      throw new Error(`Forbidden extension type ${id}`);
+    } else if (extensions[id]) {
+      throw new Error(`Multiple extensions of type ${id}`);
     }
+    extensions[id] = ext.value[ext.value.length - 1].value;
+  });
+  return extensions;
+}
+
+// Returns the identifiers in a DER SAN extension value, in canonical form.
+// No SANs besides dNSNames, which may be wildcards, and iPAddresses.
+function sanIdentifiers(san) {
+  let asn1 = forge.asn1;
+  return asn1.fromDer(san).value.map(name => {
+    let type = (name.tagClass === asn1.Class.CONTEXT_SPECIFIC)? name.type : null;
+    if (type === DNS_NAME_TAG) {
+      let value = name.value.toLowerCase();
+      if (!identifier.isDNSName(value)) {
+        throw new Error('dNSName SAN is not a DNS name');
+      }
+      return {type: 'dns', value: value};
+    } else if (type === IP_ADDRESS_TAG) {
+      let bytes = Buffer.from(name.value, 'binary');
+      if (bytes.length !== 4 && bytes.length !== 16) {
+        throw new Error('iPAddress SAN is not an IP address');
+      }
+      return {type: 'ip', value: identifier.fromBytes(bytes)};
+    }
+    throw new Error('SAN that is neither a dNSName nor an iPAddress');
+  });
+}
 
-    let name = san.value.toLowerCase();
-    if (!name.match(DNS_RE)) {
-      return {error: 'dNSName SAN is not a DNS name'};
+// A SAN extension value for identifiers
+function encodeSAN(identifiers) {
+  let asn1 = forge.asn1;
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, identifiers.map(id => {
+    if (id.type === 'ip') {
+      return asn1.create(asn1.Class.CONTEXT_SPECIFIC, IP_ADDRESS_TAG, false,
+                         identifier.toBytes(id.value).toString('binary'));
     }
+    return asn1.create(asn1.Class.CONTEXT_SPECIFIC, DNS_NAME_TAG, false, id.value);
+  }));
+}
 
-    names[name] = true;
+function dedupe(identifiers) {
+  let seen = {};
+  return identifiers.filter(id => {
+    let key = id.type + ':' + id.value;
+    let first = !seen[key];
+    seen[key] = true;
+    return first;
   });
+}
 
-  let nameList = [];
-  for (let name in names) {
-    if (names.hasOwnProperty(name)) {
-      nameList.push(name);
+// Checks that the CSR is signed by an acceptable key, then its subject and
+// extensions.  Returns either:
+// * error: Why the CSR is unacceptable, for the first problem found
+// * identifiers: The DNS names and IP addresses the CSR is for, as {type,
+//   value}
+// * names: Just their values
+function checkCSR(base64url, policy) {
+  policy = policy || {};
+
+  try {
+    let csr = decodeCSR(base64url);
+    if (csr.version !== 0) {
+      throw new Error(`Unsupported CSR version ${csr.version}`);
+    }
+
+    // Key has an acceptable algorithm / length, and signed the CSR
+    let key = checkKey(csr);
+    checkSignature(csr, key);
+
+    let commonName = checkSubject(csr);
+    let extensions = checkExtensions(csr, policy.allowedExtensions);
+
+    // The names come from the SANs.  CN may be either a DNS name or an IP
+    // address, but has to be one of them, since certificates only get the
+    // SANs.
+    let san = extensions[OID_SUBJECT_ALT_NAME];
+    let identifiers = dedupe(san ? sanIdentifiers(san) : []);
+    if (identifiers.length === 0) {
+      throw new Error('No names in CSR');
     }
+    if (commonName) {
+      let ip = identifier.canonicalIP(commonName);
+      let cn = ip ? {type: 'ip', value: ip} : {type: 'dns', value: commonName.toLowerCase()};
+      if (!identifiers.some(id => (id.type === cn.type && id.value === cn.value))) {
+        throw new Error('Subject commonName is not one of the SANs');
+      }
+    }
+
+    return {identifiers: identifiers, names: identifiers.map(id => id.value)};
+  } catch (e) {
+    return {error: e.message};
+  }
+}
+
+// Serial numbers are random, so that they are unique across restarts and
+// unpredictable, with the top bits set so that they are positive and of
+// fixed length.  That leaves 126 bits of randomness.
+const SERIAL_BYTES = 16;
+
+function randomSerialNumber() {
+  let bytes = crypto.randomBytes(SERIAL_BYTES);
+  bytes[0] = (bytes[0] & 0x7f) | 0x40;
+  return bytes.toString('hex');
+}
+
+// Returns an AlgorithmIdentifier and hash for signing with a CA key, as a
+// KeyObject
+function signatureAlgorithm(key) {
+  let asn1 = forge.asn1;
+  let id, hash;
+  if (key.asymmetricKeyType === 'rsa') {
+    id = '1.2.840.113549.1.1.11';
+    hash = 'sha256';
+  } else if (key.asymmetricKeyType === 'ec' &&
+             key.asymmetricKeyDetails.namedCurve === 'secp384r1') {
+    id = '1.2.840.10045.4.3.3';
+    hash = 'sha384';
+  } else if (key.asymmetricKeyType === 'ec') {
+    id = '1.2.840.10045.4.3.2';
+    hash = 'sha256';
+  } else {
+    throw new Error(`Unsupported CA key type ${key.asymmetricKeyType}`);
   }
 
-  if (nameList.length === 0) {
-    return {error: 'No names in CSR'};
+  // RSA algorithms have NULL parameters; ECDSA ones have none
+  let params = [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                            asn1.oidToDer(id).getBytes())];
+  if (key.asymmetricKeyType === 'rsa') {
+    params.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ''));
   }
+  return {
+    hash:       hash,
+    identifier: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, params)
+  };
+}
 
-  return {names: nameList};
+// Signs the DER of an ASN.1 object, returning the signature as a BIT STRING
+// to go with the AlgorithmIdentifier
+function sign(obj, algorithm, key) {
+  let asn1 = forge.asn1;
+  let signature = crypto.sign(algorithm.hash, toDER(obj), key);
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+                     '\x00' + signature.toString('binary'));
 }
 
-let nextSerialNumber = 1;
+// Times before 2050 are UTCTime; later ones GeneralizedTime
+function encodeTime(date) {
+  let asn1 = forge.asn1;
+  if (date.getUTCFullYear() < 2050) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false,
+                       asn1.dateToUtcTime(date));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+                     asn1.dateToGeneralizedTime(date));
+}
 
-function getNextSerialNumber() {
-  let ser = (nextSerialNumber++).toString(16);
-  if (ser.length % 2 === 1) {
-    ser = '0' + ser;
+function decodeTime(obj) {
+  let asn1 = forge.asn1;
+  if (obj.type === asn1.Type.UTCTIME) {
+    return asn1.utcTimeToDate(obj.value);
   }
-  return ser;
+  return asn1.generalizedTimeToDate(obj.value);
 }
 
-function issueCRT(csr_base64url, notBefore, notAfter, caCert, privateCAKey) {
-  let csr = parseCSR(csr_base64url);
-  let cert = forge.pki.createCertificate();
+// Signs a certificate for the subject, key and names of the CSR, with the
+// rest of its contents from the profile (by default, a CertificateProfile
+// with default options).  The CSR should already have passed checkCSR; any
+// extensions it requests besides SAN are ignored.  Subject and CA keys may
+// be RSA or EC.
+function issueCRT(csr_base64url, notBefore, notAfter, caCert, privateCAKey, profile) {
+  let asn1 = forge.asn1;
+  profile = profile || new CertificateProfile();
+  let csr = decodeCSR(csr_base64url);
+  let issuer = certificateInfo(pemToDER(caCert));
+  let key = crypto.createPrivateKey(privateCAKey);
+  let algorithm = signatureAlgorithm(key);
+  let validity = profile.validity(notBefore, notAfter);
 
-  cert.publicKey = csr.publicKey;
-  cert.setSubject(csr.subject.attributes);
-  let extensions_attribute = csr.getAttribute({name: 'extensionRequest'});
-  if (extensions_attribute) {
-    cert.setExtensions(extensions_attribute.extensions);
+  // Certificates must not have an empty subjectAltName (RFC 5280 section
+  // 4.2.1.6)
+  let san = requestedExtensions(csr).filter(ext => {
+    return asn1.derToOid(ext.value[0].value) === OID_SUBJECT_ALT_NAME;
+  })[0];
+  let identifiers = san ? dedupe(sanIdentifiers(san.value[san.value.length - 1].value)) : [];
+  if (identifiers.length === 0) {
+    throw new Error('CSR has no names in a subjectAltName extension');
   }
+  let serialNumber = randomSerialNumber();
+  let subjectKey = crypto.createPublicKey({key: csr.publicKey, format: 'der', type: 'spki'});
+  let subjectAltName = encodeSAN(identifiers);
+  let extensions = profile.extensions({
+    serialNumber:   serialNumber,
+    publicKey:      csr.publicKey,
+    keyType:        subjectKey.asymmetricKeyType,
+    subjectAltName: asn1.toDer(subjectAltName).getBytes(),
+    emptySubject:   (csr.subject.value.length === 0)
+  }, issuer);
 
-  cert.serialNumber = getNextSerialNumber();
-  cert.validity.notBefore = notBefore;
-  cert.validity.notAfter = notAfter;
+  let fields = [
+    // Version 3
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x02')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+                forge.util.hexToBytes(serialNumber)),
+    algorithm.identifier,
+    asn1.fromDer(issuer.subject.toString('binary')),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      encodeTime(validity[0]),
+      encodeTime(validity[1])
+    ]),
+    csr.subject,
+    asn1.fromDer(csr.publicKey.toString('binary'), {decodeBitStrings: false}),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 3, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, extensions)
+    ])
+  ];
 
-  cert.setIssuer(forge.pki.certificateFromPem(caCert).subject.attributes);
-  cert.sign(forge.pki.privateKeyFromPem(privateCAKey), forge.md.sha256.create());
+  let tbs = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, fields);
+  let cert = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    tbs,
+    algorithm.identifier,
+    sign(tbs, algorithm, key)
+  ]);
+
+  return forge.pem.encode({type: 'CERTIFICATE', body: asn1.toDer(cert).getBytes()});
+}
+
+function pemToDER(pem) {
+  return Buffer.from(forge.pem.decode(pem)[0].body, 'binary');
+}
+
+// Pulls the fields that identify a certificate out of its DER encoding (or
+// base64url thereof), without caring what kind of key it certifies:
+// * der: The certificate as a Buffer
+// * serialNumber: Hex string
+// * notBefore, notAfter: Dates
+// * subject: DER Name as a Buffer
+// * publicKey: DER SubjectPublicKeyInfo as a Buffer
+// * extensions: Map from OID to {critical, value}, where value is the DER
+//   content of extnValue as a Buffer
+function certificateInfo(der) {
+  if (typeof der === 'string') {
+    der = Buffer.from(toBase64(der), 'base64');
+  }
+
+  let asn1 = forge.asn1;
+  let cert = asn1.fromDer(der.toString('binary'));
+  let tbs = cert.value[0].value;
+
+  // Skip the explicitly tagged version, if present
+  let offset = (tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC)? 1 : 0;
+  let serial = tbs[offset];
+  let validity = tbs[offset + 3];
+  let subject = tbs[offset + 4];
+  let spki = tbs[offset + 5];
+  if (!serial || serial.type !== asn1.Type.INTEGER ||
+      !validity || validity.type !== asn1.Type.SEQUENCE ||
+      !subject || subject.type !== asn1.Type.SEQUENCE ||
+      !spki || spki.type !== asn1.Type.SEQUENCE) {
+    throw new Error('Malformed certificate');
+  }
+
+  let extensions = {};
+  tbs.filter(x => (x.tagClass === asn1.Class.CONTEXT_SPECIFIC && x.type === 3))
+    .forEach(x => {
+      x.value[0].value.forEach(ext => {
+        extensions[asn1.derToOid(ext.value[0].value)] = {
+          critical: (ext.value.length === 3) && (ext.value[1].value !== '\x00'),
+          value:    Buffer.from(ext.value[ext.value.length - 1].value, 'binary')
+        };
+      });
+    });
+
+  return {
+    der:          der,
+    serialNumber: forge.util.bytesToHex(serial.value),
+    notBefore:    decodeTime(validity.value[0]),
+    notAfter:     decodeTime(validity.value[1]),
+    subject:      toDER(subject),
+    publicKey:    toDER(spki),
+    extensions:   extensions
+  };
+}
+
+// The identifier for a certificate in ACME Renewal Information (RFC 9773
+// section 4.1): the keyIdentifier from its authorityKeyIdentifier and the
+// bytes of its serial number, base64url-encoded and joined by a dot
+function renewalID(der) {
+  let asn1 = forge.asn1;
+  let info = certificateInfo(der);
+  let aki = info.extensions[CertificateProfile.OIDS.authorityKeyIdentifier];
+  if (!aki) {
+    throw new Error('Certificate has no authorityKeyIdentifier');
+  }
+  let keyId = asn1.fromDer(aki.value.toString('binary')).value.filter(x => {
+    return (x.tagClass === asn1.Class.CONTEXT_SPECIFIC && x.type === 0);
+  })[0];
+  if (!keyId) {
+    throw new Error('Certificate has no authority keyIdentifier');
+  }
+
+  return toBase64url(Buffer.from(keyId.value, 'binary')) + '.' +
+         toBase64url(Buffer.from(info.serialNumber, 'hex'));
+}
+
+// Splits a renewal ID into the authority keyIdentifier (binary string) and
+// the serial number (lowercase hex)
+function parseRenewalID(id) {
+  let parts = id.split('.');
+  if (parts.length !== 2 || !parts.every(x => x.match(/^[A-Za-z0-9_-]+$/))) {
+    throw new Error('Malformed renewal ID');
+  }
 
-  return forge.pki.certificateToPem(cert)
-  return new Buffer(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+  return {
+    authorityKeyId: Buffer.from(toBase64(parts[0]), 'base64').toString('binary'),
+    serialNumber:   Buffer.from(toBase64(parts[1]), 'base64').toString('hex')
+  };
 }
 
 module.exports = {
-  checkCSR: checkCSR,
-  issueCRT: issueCRT
+  checkCSR:           checkCSR,
+  issueCRT:           issueCRT,
+  pemToDER:           pemToDER,
+  certificateInfo:    certificateInfo,
+  signatureAlgorithm: signatureAlgorithm,
+  sign:               sign,
+  encodeTime:         encodeTime,
+  renewalID:          renewalID,
+  parseRenewalID:     parseRenewalID
 };
@@ -0,0 +1,14 @@
+'use strict';
+
+// Problem documents for ACME errors
+// https://tools.ietf.org/html/rfc8555#section-6.7
+
+function problem(type, title, description) {
+  return {
+    type:        'urn:ietf:params:acme:error:' + type,
+    title:       title,
+    description: description
+  };
+}
+
+module.exports = problem;
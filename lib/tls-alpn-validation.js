@@ -0,0 +1,174 @@
+'use strict';
+
+const crypto     = require('crypto');
+const tls        = require('tls');
+const net        = require('net');
+const forge      = require('node-forge');
+const identifier = require('./identifier');
+const Validation = require('./validation');
+
+// Implements the TLS with Application-Layer Protocol Negotiation challenge
+// https://tools.ietf.org/html/rfc8737
+
+const DEFAULT_PORT = 443;
+const DEFAULT_TIMEOUT = 10000;
+const ACME_TLS_PROTOCOL = 'acme-tls/1';
+const ID_PE_ACME_IDENTIFIER = '1.3.6.1.5.5.7.1.31';
+const ID_CE_SUBJECT_ALT_NAME = '2.5.29.17';
+const DNS_NAME_TAG = 2;
+const IP_ADDRESS_TAG = 7;
+
+// Returns the extensions of a DER certificate as a map from OID to
+// {critical, value}, where value is the DER content of extnValue
+function certificateExtensions(der) {
+  let asn1 = forge.asn1;
+  let cert = asn1.fromDer(der.toString('binary'));
+  let tbs = cert.value[0];
+  let extensions = {};
+
+  tbs.value
+    .filter(x => (x.tagClass === asn1.Class.CONTEXT_SPECIFIC && x.type === 3))
+    .forEach(x => {
+      x.value[0].value.forEach(ext => {
+        let id = asn1.derToOid(ext.value[0].value);
+        let critical = (ext.value.length === 3) && (ext.value[1].value !== '\x00');
+        if (extensions[id]) {
+          throw Validation.failure('unauthorized', `Duplicate extension ${id}`);
+        }
+        extensions[id] = {
+          critical: critical,
+          value:    ext.value[ext.value.length - 1].value
+        };
+      });
+    });
+
+  return extensions;
+}
+
+class TLSALPNValidation extends Validation {
+  // Options:
+  // * port: Port to connect to (default 443)
+  // * host: Address to connect to instead of the identifier, e.g., so that
+  //   tests can point the validator at a local server
+  // * timeout: Milliseconds to wait for the handshake
+  constructor(name, thumbprint, options) {
+    super(name, thumbprint, options);
+    this.type = TLSALPNValidation.type;
+    this.port = this.options.port || DEFAULT_PORT;
+    this.host = this.options.host || name;
+    this.timeout = this.options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  // IP addresses too (RFC 8738 section 6)
+  static supports(id) {
+    return (id.type === 'ip') || Validation.supports(id);
+  }
+
+  digest() {
+    return crypto.createHash('sha256').update(this.keyAuthorization).digest();
+  }
+
+  // For an IP address, the SAN is an iPAddress, and SNI carries the reverse
+  // mapping name, since it cannot carry an address
+  expectedSAN() {
+    if (net.isIP(this.name)) {
+      return {tag: IP_ADDRESS_TAG, value: identifier.toBytes(this.name).toString('binary')};
+    }
+    return {tag: DNS_NAME_TAG, value: this.name.toLowerCase()};
+  }
+
+  servername() {
+    return net.isIP(this.name)? identifier.reverseName(this.name) : this.name;
+  }
+
+  validate() {
+    return this.handshake()
+      .then(der => this.checkCertificate(der));
+  }
+
+  checkCertificate(der) {
+    let asn1 = forge.asn1;
+    let extensions;
+    try {
+      extensions = certificateExtensions(der);
+    } catch (e) {
+      throw Validation.failure('unauthorized',
+        `Unable to parse certificate from ${this.name}: ${e.message}`);
+    }
+
+    let san = extensions[ID_CE_SUBJECT_ALT_NAME];
+    let names = san ? asn1.fromDer(san.value).value : [];
+    let expected = this.expectedSAN();
+    if (names.length !== 1 ||
+        names[0].tagClass !== asn1.Class.CONTEXT_SPECIFIC ||
+        names[0].type !== expected.tag ||
+        ((expected.tag === DNS_NAME_TAG)? names[0].value.toLowerCase()
+                                        : names[0].value) !== expected.value) {
+      throw Validation.failure('unauthorized',
+        `Certificate from ${this.name} must have a single SAN for ${this.name}`);
+    }
+
+    let acmeIdentifier = extensions[ID_PE_ACME_IDENTIFIER];
+    if (!acmeIdentifier || !acmeIdentifier.critical) {
+      throw Validation.failure('unauthorized',
+        `Certificate from ${this.name} lacks a critical acmeIdentifier extension`);
+    }
+
+    let value;
+    try {
+      value = asn1.fromDer(acmeIdentifier.value);
+    } catch (e) {
+      throw Validation.failure('unauthorized',
+        `Malformed acmeIdentifier extension from ${this.name}`);
+    }
+    if (value.type !== asn1.Type.OCTETSTRING ||
+        value.value !== this.digest().toString('binary')) {
+      throw Validation.failure('incorrectResponse',
+        `acmeIdentifier extension from ${this.name} does not match the key authorization`);
+    }
+  }
+
+  handshake() {
+    return new Promise((resolve, reject) => {
+      let socket = tls.connect({
+        host:               this.host,
+        port:               this.port,
+        servername:         this.servername(),
+        ALPNProtocols:      [ACME_TLS_PROTOCOL],
+        rejectUnauthorized: false
+      }, () => {
+        let protocol = socket.alpnProtocol;
+        let cert = socket.getPeerCertificate();
+        socket.end();
+
+        if (protocol !== ACME_TLS_PROTOCOL) {
+          reject(Validation.failure('unauthorized',
+            `Server at ${this.name} did not negotiate ${ACME_TLS_PROTOCOL}`));
+          return;
+        }
+        if (!cert || !cert.raw) {
+          reject(Validation.failure('unauthorized',
+            `Server at ${this.name} presented no certificate`));
+          return;
+        }
+        resolve(cert.raw);
+      });
+
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy();
+        reject(Validation.failure('connection',
+          `Timeout connecting to ${this.name}:${this.port}`));
+      });
+      socket.on('error', err => {
+        // System errors (e.g., ECONNREFUSED) carry a syscall; others are TLS
+        let type = err.syscall ? 'connection' : 'tls';
+        reject(Validation.failure(type,
+          `Error connecting to ${this.name}:${this.port}: ${err.message}`));
+      });
+    });
+  }
+}
+
+TLSALPNValidation.type = 'tls-alpn-01';
+
+module.exports = TLSALPNValidation;
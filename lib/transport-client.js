@@ -14,6 +14,8 @@ class TransportClient {
     }
 
     this.accountKey = options.accountKey;
+    // Once set, requests identify the key by this URL instead of carrying it
+    this.accountURL = options.accountURL;
     this.nonces = [];
     this.jose = new Jose(options.acmeVersion);
   }
@@ -30,6 +32,7 @@ class TransportClient {
     return rp.get(options);
   }
 
+  // Waits as long as the server asks with Retry-After, if it does
   static poll(url, test, limit, delay) {
     if (limit <= 0) {
       throw new Error('Polling limit exceeded');
@@ -38,13 +41,22 @@ class TransportClient {
     limit = limit || DEFAULT_POLL_LIMIT;
     delay = delay || DEFAULT_POLL_DELAY;
 
-    return this.get(url)
-    .then(obj => {
-      if (test(obj)) {
-        return obj;
+    return rp.get({
+      uri:                     url,
+      json:                    true,
+      resolveWithFullResponse: true
+    })
+    .then(resp => {
+      if (test(resp.body)) {
+        return resp.body;
       }
 
-      return Promise.delay(delay)
+      let wait = delay;
+      let retryAfter = parseInt(resp.headers['retry-after']);
+      if (!isNaN(retryAfter)) {
+        wait = retryAfter * 1000;
+      }
+      return Promise.delay(wait)
         .then(() => this.poll(url, test, limit - 1, delay));
     });
   }
@@ -77,6 +89,9 @@ class TransportClient {
         nonce: nonce,
         url:   url
       };
+      if (this.accountURL) {
+        header.kid = this.accountURL;
+      }
       return this.jose.sign(this.accountKey, body, header);
     })
     .then(jws => {
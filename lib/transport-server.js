@@ -2,16 +2,26 @@
 
 const Jose        = require('./jose');
 const nonceSource = require('./nonce-source');
+const problem     = require('./problem');
 const express     = require('express');
 const bodyParser  = require('body-parser');
 const urlParse    = require('url');
 
 class TransportServer {
   constructor(acmeVersion = 'ietf-draft', getKey) {
-    this.getKey = getKey
+    // Resolves the kid in a request to a key, or throws an error whose type
+    // is an ACME error type.  Without it, only requests with a jwk pass.
+    this.getKey = getKey || (kid => {
+      throw new Error(`Unknown key ID [${kid}]`);
+    });
     this.app = express();
     this.nonces = new nonceSource();
 
+    // Routes for requests that are not JWS, e.g., OCSP, which see requests
+    // before any of the handling below
+    this.unsigned = express.Router();
+    this.app.use(this.unsigned);
+
     // Every POST should have a JSON (JWS) body
     this.app.use(bodyParser.json({ type: '*/*' })); // Letsencrypt doesn't check the type either
 
@@ -37,6 +47,7 @@ class TransportServer {
         }
 
         req.accountKey = result.key;
+        req.protectedHeader = result.header;
         req.payload = result.payload;
         return result.key.thumbprint()
       })
@@ -46,11 +57,8 @@ class TransportServer {
       })
       .catch(err => {
         res.status(400);
-        res.json({
-          'type':   'urn:ietf:params:acme:error:malformed',
-          'title':  'Request failed transport-level validation',
-          'detail': err.message
-        });
+        res.json(problem(err.type || 'malformed',
+                         'Request failed transport-level validation', err.message));
       });
     });
   }
@@ -0,0 +1,100 @@
+'use strict';
+
+// Runs challenge validations in the background.  Failed attempts are retried
+// with exponential backoff before the challenge is finally marked invalid.
+
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRY_AFTER = 1;
+
+class ValidationQueue {
+  // Options:
+  // * retries: Number of times to retry a failed validation (default 0)
+  // * retryDelay: Milliseconds before the first retry, doubling thereafter
+  // * concurrency: Maximum number of validations in flight
+  constructor(options) {
+    options = options || {};
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+
+    this.queue = [];
+    this.active = 0;
+    this.waiting = 0;
+    this.drained = [];
+  }
+
+  // Queues a challenge that has been started.  The returned promise resolves
+  // once the challenge is valid or invalid.
+  push(challenge) {
+    return new Promise(resolve => {
+      this.queue.push({challenge: challenge, attempts: 0, resolve: resolve});
+      this._next();
+    });
+  }
+
+  // Resolves once there is no more work queued, running or awaiting a retry
+  drain() {
+    if (this._idle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.drained.push(resolve));
+  }
+
+  // Seconds a client should wait before checking on a challenge again
+  retryAfter(challenge) {
+    if (challenge.retryAt) {
+      let wait = Math.ceil((challenge.retryAt - new Date()) / 1000);
+      return Math.max(wait, DEFAULT_RETRY_AFTER);
+    }
+    return DEFAULT_RETRY_AFTER;
+  }
+
+  _idle() {
+    return (this.queue.length === 0) && (this.active === 0) && (this.waiting === 0);
+  }
+
+  _next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      this._run(this.queue.shift());
+    }
+
+    if (this._idle()) {
+      let drained = this.drained;
+      this.drained = [];
+      drained.forEach(resolve => resolve());
+    }
+  }
+
+  _run(job) {
+    let challenge = job.challenge;
+    this.active += 1;
+    challenge.attempt()
+      .then(() => {
+        challenge.succeed();
+        job.resolve();
+      }, err => {
+        job.attempts += 1;
+        if (job.attempts > this.retries) {
+          challenge.fail(err);
+          job.resolve();
+          return;
+        }
+
+        let delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+        challenge.retry(err, new Date(Date.now() + delay));
+        this.waiting += 1;
+        setTimeout(() => {
+          this.waiting -= 1;
+          this.queue.push(job);
+          this._next();
+        }, delay);
+      })
+      .then(() => {
+        this.active -= 1;
+        this._next();
+      });
+  }
+}
+
+module.exports = ValidationQueue;
@@ -0,0 +1,98 @@
+'use strict';
+
+const AutoValidation    = require('./auto-validation');
+const DNSValidation     = require('./dns-validation');
+const HTTPValidation    = require('./http-validation');
+const TLSALPNValidation = require('./tls-alpn-validation');
+const Validation        = require('./validation');
+const identifier        = require('./identifier');
+
+// Maps challenge types to the validators that implement them.  A validator
+// is a constructor taking (name, thumbprint, options), usually a subclass of
+// Validation, whose instances provide update() and toJSON().  Its static
+// supports() says which identifiers it can validate; without one, it is for
+// DNS names without wildcards.
+
+const BUILTIN = [
+  HTTPValidation,
+  DNSValidation,
+  TLSALPNValidation,
+  AutoValidation
+];
+
+class ValidationRegistry {
+  constructor() {
+    this.validators = {};
+    BUILTIN.forEach(Validator => this.register(Validator.type, Validator));
+  }
+
+  register(type, Validator) {
+    if (typeof type !== 'string' || !type) {
+      throw new TypeError('Challenge type must be a non-empty string');
+    }
+    if (typeof Validator !== 'function') {
+      throw new TypeError(`Validator for ${type} must be a constructor`);
+    }
+    this.validators[type] = Validator;
+  }
+
+  unregister(type) {
+    delete this.validators[type];
+  }
+
+  has(type) {
+    return this.validators.hasOwnProperty(type);
+  }
+
+  types() {
+    return Object.keys(this.validators);
+  }
+
+  // Creates one challenge for each type enabled in the challenge policy, which
+  // maps types to either true or an options object for the validator, and
+  // which can validate the name: a DNS name, possibly a wildcard, or an IP
+  // address
+  create(challenges, name, thumbprint) {
+    let id = {type: identifier.canonicalIP(name)? 'ip' : 'dns', value: name};
+    let out = [];
+    for (let type in challenges) {
+      if (!challenges.hasOwnProperty(type) || !challenges[type]) {
+        continue;
+      }
+      if (!this.has(type)) {
+        throw new Error(`Unknown challenge type ${type}`);
+      }
+
+      let Validator = this.validators[type];
+      let supported = Validator.supports ? Validator.supports(id) : Validation.supports(id);
+      if (!supported) {
+        continue;
+      }
+
+      let options = (typeof challenges[type] === 'object')? challenges[type] : {};
+      let challenge = new Validator(name, thumbprint, options);
+      challenge.type = type;
+      out.push(challenge);
+    }
+    return out;
+  }
+
+  // Recreates a challenge from its stored state, keeping its token rather than
+  // generating a new one
+  revive(state) {
+    if (!this.has(state.type)) {
+      throw new Error(`Unknown challenge type ${state.type}`);
+    }
+
+    let challenge = Object.create(this.validators[state.type].prototype);
+    Object.assign(challenge, state);
+    ['validated', 'retryAt'].forEach(field => {
+      if (challenge[field]) {
+        challenge[field] = new Date(challenge[field]);
+      }
+    });
+    return challenge;
+  }
+}
+
+module.exports = ValidationRegistry;
@@ -0,0 +1,106 @@
+'use strict';
+
+const crypto     = require('crypto');
+const jose       = require('node-jose');
+const identifier = require('./identifier');
+const problem    = require('./problem');
+
+// Common behavior for the ways of validating possession of an identifier
+// https://ietf-wg-acme.github.io/acme/#identifier-validation-challenges
+
+const TOKEN_BYTES = 32;
+
+function failure(type, message) {
+  let err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+function keyAuthorization(token, thumbprint) {
+  let tpBytes = Buffer.from(thumbprint, 'hex');
+  return token + '.' + jose.util.base64url.encode(tpBytes);
+}
+
+class Validation {
+  // Subclasses implement validate(), which returns a promise that rejects
+  // (ideally with an error built by failure()) if the challenge response is
+  // not acceptable.  The options come from the server's challenge policy.
+  constructor(name, thumbprint, options) {
+    this.status = 'pending';
+    this.name = name;
+    this.options = options || {};
+    this.token = jose.util.base64url.encode(crypto.randomBytes(TOKEN_BYTES));
+    this.keyAuthorization = keyAuthorization(this.token, thumbprint);
+  }
+
+  // Marks the challenge as being validated in response to a client request.
+  // Returns false if the client has already responded to this challenge.
+  start(payload) {
+    if (this.status !== 'pending') {
+      return false;
+    }
+    this.status = 'processing';
+    this.payload = payload;
+    return true;
+  }
+
+  // Binds a challenge that is not yet finished to the account's new key
+  // after a key change, since responses must use the current key
+  rekey(thumbprint) {
+    if (this.status === 'pending' || this.status === 'processing') {
+      this.keyAuthorization = keyAuthorization(this.token, thumbprint);
+    }
+  }
+
+  // Makes one attempt at validation
+  attempt() {
+    return Promise.resolve()
+      .then(() => this.validate(this.payload));
+  }
+
+  // Records a failed attempt that will be retried at the given time
+  retry(err, at) {
+    this.error = problem(err.type || 'connection', err.message);
+    this.retryAt = at;
+  }
+
+  succeed() {
+    this.status = 'valid';
+    this.validated = new Date();
+    delete this.error;
+    delete this.retryAt;
+  }
+
+  fail(err) {
+    this.status = 'invalid';
+    this.error = problem(err.type || 'connection', err.message);
+    delete this.retryAt;
+  }
+
+  // Which identifiers this kind of challenge can validate, as {type, value}
+  // with wildcard DNS names as ordered.  By default, DNS names without
+  // wildcards.
+  static supports(id) {
+    return (id.type === 'dns') && !identifier.isWildcard(id.value);
+  }
+
+  toJSON() {
+    let obj = {
+      type:   this.type,
+      status: this.status,
+      token:  this.token
+    };
+    if (this.validated) {
+      obj.validated = this.validated;
+    }
+    if (this.error) {
+      obj.error = this.error;
+    }
+    return obj;
+  }
+}
+
+Validation.failure = failure;
+Validation.keyAuthorization = keyAuthorization;
+
+module.exports = Validation;
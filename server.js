@@ -10,6 +10,7 @@ const http = require('http');
 const https = require('https');
 
 const ACMEServer = require('./lib/acme-server');
+const FileStorage = require('./lib/file-storage');
 
 const caKey = fs.readFileSync('./ca.key');
 const caCert = fs.readFileSync('./ca.crt');
@@ -22,11 +23,11 @@ let serverConfig = {
   terms: 'terms',
 //  port: 443,
   authzExpirySeconds: 30 * 24 * 3600,
-  // TODO: Change to pass in validation objects
-  autoChallenge:      true,
+  challenges:         {auto: true},
   caKey: caKey,
   caCert: caCert,
   acmeVersion: 'le',
+  storage: new FileStorage(process.env.ACME_DB || './acme-db.json'),
 };
 
 let server = new ACMEServer(serverConfig);
@@ -5,32 +5,115 @@
 
 'use strict';
 
-const assert     = require('chai').assert;
-const request    = require('supertest');
-const urlParse   = require('url');
-const MockClient = require('./tools/mock-client');
-const ACMEServer = require('../lib/acme-server');
+const assert             = require('chai').assert;
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const fs                 = require('fs');
+const http               = require('http');
+const request            = require('supertest');
+const urlParse           = require('url');
+const nodeJose           = require('node-jose');
+const temp               = require('temp').track();
+const MockClient         = require('./tools/mock-client');
+const testCA             = require('./tools/test-ca');
+const testCRL            = require('./tools/test-crl');
+const testOCSP           = require('./tools/test-ocsp');
+const ACMEServer         = require('../lib/acme-server');
+const CertificateProfile = require('../lib/certificate-profile');
+const FileStorage        = require('../lib/file-storage');
+const Jose               = require('../lib/jose');
+const MemoryStorage      = require('../lib/memory-storage');
+const pki                = require('../lib/pki');
+const Validation         = require('../lib/validation');
+const DNSValidation      = require('../lib/dns-validation');
+
+const HTTP_PORT = 5002;
 
 let serverConfig = {
   host:               '127.0.0.1',
   authzExpirySeconds: 30 * 24 * 3600,
-  // TODO: Change to pass in validation objects
-  autoChallenge:      true
+  challenges:         {auto: true}
 };
 let mockClient = new MockClient();
 
-// CSR generated by a Go script
-// * Random public key
-// * Two SANs:
-//  * not-example.com
-//  * www.not-example.com
-let testCSR = 'MIICoTCCAYkCAQAwGjEYMBYGA1UEAxMPbm90LWV4YW1wbGUuY29tMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAq7F00dtBUeN9DHEiDRimh5OtlU0KDXw-B-04kBaZkTtXU-1G3GW-BG9p_M0PyT7NSn5rYcdzisajTQZJD-cQgltgevWARc8dkrIy4ogj4qihwagO-glAo20ZZoreibdL3cpOM2kmjRkkXDCFDXZF1kL8LhoKRg1H5dmkVcgw7ALr-AhRUHcvVmkv4XwGT_H1fzgutTCIMvEwnKIsn1lw6q5rK6pUktnsGQqJFrzJ_RUN_CK0BPg3BD9QOkwxXZ9ZTMttAIrZMuBA3wf_83_erI53s_46PMgLI3rDpPa9clqylSZGEDwXy8sLwQXSSuWCMLD_t99MZvDFcDjPSyJUaQIDAQABoEIwQAYJKoZIhvcNAQkOMTMwMTAvBgNVHREEKDAmgg9ub3QtZXhhbXBsZS5jb22CE3d3dy5ub3QtZXhhbXBsZS5jb20wDQYJKoZIhvcNAQEFBQADggEBAFoGL91KCrF1UaT-ZHOoC_SfXA9O2zsLHZDAqfcciqPn85pCUDntdbxiSAmfMt_K6PI-MqlWIR2ejZG7yYpT1Nx3UyDggRQiAS8WRPw8M9B43Ang5HnaOX2Y7q0J0TTGQXBO3Ts8advtQcvaOJMvpAborebQizzN0pzhMkBcAOgzZQVKWJvwqMzQsD5VJP8gw7i-HH3IROep3Ayu74gTDYvfVyMJEIbY1D4P3FcoUcc-K0mOYlIu1a8zS6KDCRj5rrhR1dmMj8bd_V6e9234lXHaZFTKDPcVowT8w9LwB4DJPzQu7b7grtynFV645q_-aSxPxJGmj7i-aayO-T00cUE';
 let testCSRNames = ['not-example.com', 'www.not-example.com'];
 
 function path(url) {
   return urlParse.parse(url).path;
 }
 
+// Stores a registration for the mock client's key, resolving to the key's
+// thumbprint
+function putRegistration(server) {
+  return mockClient.key()
+    .then(k => k.thumbprint())
+    .then(tpBuffer => {
+      let thumbprint = tpBuffer.toString('hex');
+      server.db.put({
+        id:         thumbprint,
+        key:        mockClient._key,
+        thumbprint: thumbprint,
+        contact:    ['mailto:anonymous@example.com'],
+        type:       function() { return 'reg'; },
+        marshal:    function() { return {key: this.key.toJSON()}; }
+      });
+      return tpBuffer;
+    });
+}
+
+// Signs with the client's account URL as the key ID once it has an account,
+// except for new account requests
+function postJWS(server, url, payload, client) {
+  client = client || mockClient;
+  let nonce = server.transport.nonces.get();
+  return client.key()
+    .then(k => k.thumbprint())
+    .then(tpBuffer => {
+      let reg = server.db.accountFor(tpBuffer.toString('hex'));
+      if (reg && url !== server.baseURL + '/new-acct') {
+        return client.makeKidJWS(nonce, url, server.makeURL(reg), payload);
+      }
+      return client.makeJWS(nonce, url, payload);
+    })
+    .then(jws => request(server.app).post(path(url)).send(jws));
+}
+
+// Runs through ordering, validation (with the auto challenge) and
+// finalization, resolving to the issued certificate's PEM
+function issueCertificate(server, names, csr) {
+  let order = {identifiers: names.map(name => ({type: 'dns', value: name}))};
+  let finalizeURL;
+  return postJWS(server, server.baseURL + '/new-app', order)
+    .then(res => {
+      finalizeURL = res.body.finalize;
+      return Promise.all(res.body.authorizations.map(url => {
+        return postJWS(server, url, {})
+          .then(authz => postJWS(server, authz.body.challenges[0].url, {}));
+      }));
+    })
+    .then(() => server.validations.drain())
+    .then(() => postJWS(server, finalizeURL, {csr: csr}))
+    .then(res => postJWS(server, res.body.certificate, {}))
+    .then(res => leaf(res.text));
+}
+
+// The first certificate of a PEM chain
+function leaf(chain) {
+  return chain.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----\s*/)[0];
+}
+
+// Collects a binary response body, e.g., for OCSP
+function binary(res, callback) {
+  let chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function derBase64url(pem) {
+  return pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, '')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
 describe('ACME server', function() {
   it('responds to a directory request', function(done) {
     let server = new ACMEServer(serverConfig);
@@ -47,8 +130,9 @@ describe('ACME server', function() {
         assert.property(res.body.meta, 'terms-of-service');
         assert.equal(res.body.meta['terms-of-service'], termsURL);
 
-        assert.property(res.body, 'new-reg');
-        assert.property(res.body, 'new-app');
+        assert.property(res.body, 'newAccount');
+        assert.property(res.body, 'newOrder');
+        assert.property(res.body, 'newNonce');
         // TODO Add things here as they get added to the directory
         done();
       })
@@ -93,14 +177,14 @@ describe('ACME server', function() {
     server.terms = termsURL;
 
     let nonce = server.transport.nonces.get();
-    let url = server.baseURL + '/new-reg';
+    let url = server.baseURL + '/new-acct';
     let reg = {contact: ['mailto:anonymous@example.com']};
     let regPath;
     let created;
 
     let testServer = request(server.app);
     mockClient.makeJWS(nonce, url, reg)
-      .then(jws => testServer.post('/new-reg').send(jws))
+      .then(jws => testServer.post('/new-acct').send(jws))
       .then(res => {
         assert.equal(res.status, 201);
 
@@ -116,7 +200,8 @@ describe('ACME server', function() {
 
         regPath = path(res.headers.location);
         let newNonce = res.headers['replay-nonce'];
-        return mockClient.makeJWS(newNonce, res.headers.location, {});
+        return mockClient.makeKidJWS(newNonce, res.headers.location,
+                                     res.headers.location, {});
       })
       .then(jws => testServer.post(regPath).send(jws))
       .then(res => {
@@ -127,34 +212,24 @@ describe('ACME server', function() {
       .catch(done);
   });
 
-  it('rejects a new registration for an existing key', function(done) {
+  it('returns the existing account for a registered key', function(done) {
     let server = new ACMEServer(serverConfig);
-    let termsURL = 'https://example.com/terms';
-    server.terms = termsURL;
-
-    let nonce = server.transport.nonces.get();
-    let url = server.baseURL + '/new-reg';
     let reg = {contact: ['mailto:anonymous@example.com']};
-    let jws;
+    let accountURL;
 
-    mockClient.makeJWS(nonce, url, reg)
-      .then(signed => {
-        jws = signed;
-        return mockClient._key.thumbprint();
-      })
+    putRegistration(server)
       .then(tpBuffer => {
-        let existing = {
-          id:   tpBuffer.toString('hex'),
-          type: function() { return 'reg'; }
-        };
-        server.db.put(existing);
-
-        request(server.app)
-          .post('/new-reg')
-          .send(jws)
-          .expect(409)
-          .expect('location', /.*/, done);
-      });
+        accountURL = `${server.baseURL}/reg/${tpBuffer.toString('hex')}`;
+        let nonce = server.transport.nonces.get();
+        return mockClient.makeJWS(nonce, server.baseURL + '/new-acct', reg);
+      })
+      .then(jws => request(server.app).post('/new-acct').send(jws))
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.location, accountURL);
+        done();
+      })
+      .catch(done);
   });
 
   it('updates a registration', function(done) {
@@ -175,7 +250,7 @@ describe('ACME server', function() {
       .then(tpBuffer => {
         thumbprint = tpBuffer.toString('hex');
         let url = `${server.baseURL}/reg/${thumbprint}`;
-        return mockClient.makeJWS(nonce, url, reg2);
+        return mockClient.makeKidJWS(nonce, url, url, reg2);
       })
       .then(jws => {
         let existing = {
@@ -213,111 +288,54 @@ describe('ACME server', function() {
 
   it('creates a new application', function(done) {
     let server = new ACMEServer(serverConfig);
-
-    let thumbprint;
-    let nonce = server.transport.nonces.get();
-    let url = server.baseURL + '/new-app';
     let app = {
-      'csr':       testCSR,
-      'notBefore': '2016-07-14T23:19:36.197Z',
-      'notAfter':  '2017-07-14T23:19:36.197Z'
+      identifiers: testCSRNames.map(name => ({type: 'dns', value: name})),
+      notBefore:   '2016-07-14T23:19:36.197Z',
+      notAfter:    '2017-07-14T23:19:36.197Z'
     };
 
     let testServer = request(server.app);
-    mockClient.key()
-      .then(k => k.thumbprint())
-      .then(tpBuffer => {
-        thumbprint = tpBuffer.toString('hex');
-        return mockClient.makeJWS(nonce, url, app);
-      })
-      .then(jws => {
-        let existing = {
-          id:      thumbprint,
-          key:     mockClient._key,
-          contact: ['mailto:anonymous@example.com'],
-          type:    function() { return 'reg'; },
-          marshal: function() {
-            return {
-              key:       this.key.toJSON(),
-              status:    this.status,
-              contact:   this.contact,
-              agreement: this.agreement
-            };
-          }
-        };
-        server.db.put(existing);
-
-        return testServer.post('/new-app').send(jws);
-      })
+    putRegistration(server)
+      .then(() => postJWS(server, server.baseURL + '/new-app', app))
       .then(res => {
         assert.equal(res.status, 201);
-
         assert.property(res.headers, 'location');
 
-        assert.property(res.body, 'status');
-        assert.property(res.body, 'csr');
-        assert.property(res.body, 'notBefore');
-        assert.property(res.body, 'notAfter');
-        assert.property(res.body, 'requirements');
-
-        assert.equal(res.body.csr, app.csr);
+        assert.equal(res.body.status, 'pending');
+        assert.deepEqual(res.body.identifiers, app.identifiers);
         assert.equal(res.body.notBefore, app.notBefore);
         assert.equal(res.body.notAfter, app.notAfter);
-        assert.isArray(res.body.requirements);
-        assert.isTrue(res.body.requirements.length > 0);
+        assert.equal(res.body.finalize, res.headers.location + '/finalize');
+        assert.isArray(res.body.authorizations);
+        assert.equal(res.body.authorizations.length, app.identifiers.length);
 
-        let authz = res.body.requirements.map(req => {
-          if (req.type !== 'authorization') {
-            return Promise.resolve(false);
-          }
-          let authzPath = path(req.url);
-          return testServer.get(authzPath);
-        });
-        return Promise.all(authz);
+        return Promise.all(res.body.authorizations.map(url => postJWS(server, url, {})));
       })
       .then(responses => {
         let challengeTests = [];
         let authzNames = [];
-        responses.map(res => {
-          if (res == null) {
-            return;
-          }
+        responses.forEach(res => {
           assert.equal(res.status, 200);
-
-          assert.property(res.body, 'status');
-          assert.property(res.body, 'expires');
-          assert.property(res.body, 'identifier');
-          assert.property(res.body, 'challenges');
-
-          assert.isString(res.body.status);
+          assert.equal(res.body.status, 'pending');
           assert.isNotNaN((new Date(res.body.expires)).getTime());
-
-          assert.property(res.body.identifier, 'type');
-          assert.property(res.body.identifier, 'value');
           assert.propertyVal(res.body.identifier, 'type', 'dns');
-          assert.isString(res.body.identifier.value);
           authzNames.push(res.body.identifier.value);
 
           assert.isArray(res.body.challenges);
-          res.body.challenges.map(chall => {
-            assert.isObject(chall);
-            assert.property(chall, 'type');
-            assert.property(chall, 'url');
+          res.body.challenges.forEach(chall => {
             assert.isString(chall.type);
             assert.isString(chall.url);
 
-            let challPath = path(chall.url);
-            let test = testServer.get(challPath)
+            let test = testServer.get(path(chall.url))
               .then(res2 => {
                 assert.equal(res2.status, 200);
-                chall.status = 'valid'; // FIXME: Challenges auto-validate currently
                 assert.deepEqual(res2.body, chall);
               });
             challengeTests.push(test);
           });
         });
 
-        assert.deepEqual(authzNames.sort(), testCSRNames.sort());
+        assert.deepEqual(authzNames.sort(), testCSRNames.slice().sort());
         return Promise.all(challengeTests);
       })
       .then(() => { done(); })
@@ -325,89 +343,2282 @@ describe('ACME server', function() {
   });
 
   it('rejects a new application from an unregistered key', function() {});
-  it('rejects a new application with an invalid csr', function() {});
   it('rejects a new application with an invalid notBefore', function() {});
   it('rejects a new application with an invalid notAfter', function() {});
 
-  it('creates a new application', function(done) {
-    let server = new ACMEServer(serverConfig);
+  it('validates and finalizes a new application', function(done) {
+    let server = new ACMEServer(Object.assign({
+      caKey:  testCA.caKey,
+      caCert: testCA.caCert
+    }, serverConfig));
+    let app = {identifiers: testCSRNames.map(name => ({type: 'dns', value: name}))};
+    let csr = testCA.makeCSR(testCSRNames, testCA.rsaKeyPair());
 
-    let nonce = server.transport.nonces.get();
-    let url = server.baseURL + '/new-app';
-    let app = {
-      'csr':       testCSR,
-      'notBefore': '2016-07-14T23:19:36.197Z',
-      'notAfter':  '2017-07-14T23:19:36.197Z'
-    };
+    let order;
+    putRegistration(server)
+      .then(() => postJWS(server, server.baseURL + '/new-app', app))
+      .then(res => {
+        assert.equal(res.status, 201);
+        order = res.body;
+        order.url = res.headers.location;
 
-    let thumbprint;
-    let appPath;
-    let testServer = request(server.app);
-    mockClient.key()
-      .then(k => k.thumbprint())
-      .then(tpBuffer => {
-        thumbprint = tpBuffer.toString('hex');
-        return mockClient.makeJWS(nonce, url, app);
+        return Promise.all(order.authorizations.map(url => {
+          return postJWS(server, url, {})
+            .then(authz => postJWS(server, authz.body.challenges[0].url, {}))
+            .then(chall => assert.equal(chall.status, 200));
+        }));
       })
-      .then(jws => {
-        let existing = {
-          id:      thumbprint,
-          key:     mockClient._key,
-          contact: ['mailto:anonymous@example.com'],
-          type:    function() { return 'reg'; },
-          marshal: function() {
-            return {
-              key:       this.key.toJSON(),
-              status:    this.status,
-              contact:   this.contact,
-              agreement: this.agreement
-            };
-          }
-        };
-        server.db.put(existing);
+      .then(() => server.validations.drain())
+      .then(() => Promise.all(order.authorizations.map(url => postJWS(server, url, {}))))
+      .then(responses => {
+        responses.forEach(res => assert.equal(res.body.status, 'valid'));
+        return postJWS(server, order.url, {});
+      })
+      .then(res => {
+        assert.equal(res.body.status, 'ready');
+        return postJWS(server, order.finalize, {csr: csr});
+      })
+      .then(() => postJWS(server, order.url, {}))
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'valid');
+        assert.isString(res.body.certificate);
+        done();
+      })
+      .catch(done);
+  });
 
-        return testServer.post('/new-app').send(jws);
+  it('validates an http-01 challenge', function(done) {
+    let server = new ACMEServer({
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      httpChallenge:      {host: '127.0.0.1', port: HTTP_PORT}
+    });
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+
+    let keyAuthorization;
+    let orderURL;
+    let authzURL;
+    let standIn;
+    putRegistration(server)
+      .then(tpBuffer => {
+        let thumbprint = nodeJose.util.base64url.encode(tpBuffer);
+        standIn = http.createServer((req, res) => {
+          let token = req.url.split('/').pop();
+          res.end(keyAuthorization || `${token}.${thumbprint}`);
+        });
+        return new Promise(resolve => standIn.listen(HTTP_PORT, resolve));
       })
+      .then(() => postJWS(server, server.baseURL + '/new-app', order))
       .then(res => {
         assert.equal(res.status, 201);
+        orderURL = res.headers.location;
+        authzURL = res.body.authorizations[0];
+        return postJWS(server, authzURL, {});
+      })
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'pending');
 
-        appPath = path(res.headers.location);
-
-        let validations = res.body.requirements
-          .filter(x => (x.type === 'authorization'))
-          .map(req => {
-            let authzPath = path(req.url);
-            let challPath;
-
-            return Promise.resolve()
-              .then(() => testServer.get(authzPath))
-              .then(authzRes => {
-                assert.equal(authzRes.status, 200);
-
-                let challURL = authzRes.body.challenges[0].url;
-                challPath = path(challURL);
-                let challNonce = server.transport.nonces.get();
-                return mockClient.makeJWS(challNonce, challURL, {});
-              })
-              .then(jws => testServer.post(challPath).send(jws))
-              .then(challRes => assert.equal(challRes.status, 200))
-              .then(() => testServer.get(authzPath))
-              .then(authzRes => {
-                assert.equal(authzRes.status, 200);
-                assert.equal(authzRes.body.status, 'valid');
-              });
-          });
+        let challenges = res.body.challenges.filter(x => (x.type === 'http-01'));
+        assert.lengthOf(challenges, 1);
+        assert.isString(challenges[0].token);
+        assert.notEqual(challenges[0].token, 'token');
+        return postJWS(server, challenges[0].url, {});
+      })
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'processing');
+        assert.equal(res.headers['retry-after'], '1');
+        return server.validations.drain();
+      })
+      .then(() => postJWS(server, authzURL, {}))
+      .then(res => {
+        assert.equal(res.body.status, 'valid');
+        return request(server.app).get(path(orderURL));
+      })
+      .then(res => {
+        assert.equal(res.body.status, 'ready');
+        standIn.close();
+        done();
+      })
+      .catch(done);
+  });
+
+  it('invalidates a failed http-01 challenge', function(done) {
+    let server = new ACMEServer({
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      httpChallenge:      {host: '127.0.0.1', port: HTTP_PORT}
+    });
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+
+    let authzURL;
+    putRegistration(server)
+      .then(() => postJWS(server, server.baseURL + '/new-app', order))
+      .then(res => {
+        authzURL = res.body.authorizations[0];
+        return postJWS(server, authzURL, {});
+      })
+      .then(res => postJWS(server, res.body.challenges[0].url, {}))
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'processing');
+        return server.validations.drain();
+      })
+      .then(() => postJWS(server, authzURL, {}))
+      .then(res => {
+        assert.equal(res.body.status, 'invalid');
+        assert.notProperty(res.headers, 'retry-after');
+        assert.equal(res.body.challenges[0].status, 'invalid');
+        assert.equal(res.body.challenges[0].error.type,
+                     'urn:ietf:params:acme:error:connection');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('validates a registered challenge type', function(done) {
+    let payloads = [];
+    class MagicWordValidation extends Validation {
+      validate(payload) {
+        payloads.push(payload);
+        if (payload.word !== this.options.word) {
+          throw Validation.failure('incorrectResponse', 'Wrong word');
+        }
+      }
+    }
 
-        return Promise.all(validations);
+    let server = new ACMEServer({
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      validators:         {'magic-01': MagicWordValidation},
+      challenges:         {'magic-01': {word: 'please'}}
+    });
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+
+    let authzURL;
+    putRegistration(server)
+      .then(() => postJWS(server, server.baseURL + '/new-app', order))
+      .then(res => {
+        authzURL = res.body.authorizations[0];
+        return postJWS(server, authzURL, {});
+      })
+      .then(res => {
+        assert.deepEqual(res.body.challenges.map(x => x.type), ['magic-01']);
+        return postJWS(server, res.body.challenges[0].url, {word: 'please'});
       })
-      .then(() => testServer.get(appPath))
       .then(res => {
         assert.equal(res.status, 200);
+        assert.equal(res.body.type, 'magic-01');
+        return server.validations.drain();
+      })
+      .then(() => postJWS(server, authzURL, {}))
+      .then(res => {
+        assert.deepEqual(payloads, [{word: 'please'}]);
+        assert.equal(res.body.challenges[0].status, 'valid');
         assert.equal(res.body.status, 'valid');
-        assert.property(res.body, 'certificate');
-        assert.isString(res.body.certificate);
         done();
       })
       .catch(done);
   });
+
+  it('refuses to enable an unknown challenge type', function() {
+    assert.throws(() => new ACMEServer({challenges: {'magic-01': true}}),
+                  /magic-01/);
+  });
+
+  it('retries a failed challenge before giving up', function(done) {
+    let attempts = 0;
+    class FlakyValidation extends Validation {
+      validate() {
+        attempts += 1;
+        if (attempts < 3) {
+          throw Validation.failure('connection', 'Try again');
+        }
+      }
+    }
+
+    let server = new ACMEServer({
+      host:                 '127.0.0.1',
+      authzExpirySeconds:   30 * 24 * 3600,
+      validators:           {'flaky-01': FlakyValidation},
+      challenges:           {'flaky-01': true},
+      validationRetries:    2,
+      validationRetryDelay: 1100
+    });
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+
+    let authzURL;
+    putRegistration(server)
+      .then(() => postJWS(server, server.baseURL + '/new-app', order))
+      .then(res => {
+        authzURL = res.body.authorizations[0];
+        return postJWS(server, authzURL, {});
+      })
+      .then(res => postJWS(server, res.body.challenges[0].url, {}))
+      .then(() => request(server.app).get(path(authzURL)))
+      .then(res => {
+        assert.equal(attempts, 1);
+        assert.equal(res.body.status, 'pending');
+        assert.equal(res.body.challenges[0].status, 'processing');
+        assert.equal(res.body.challenges[0].error.title, 'Try again');
+        assert.equal(res.headers['retry-after'], '2');
+        return server.validations.drain();
+      })
+      .then(() => request(server.app).get(path(authzURL)))
+      .then(res => {
+        assert.equal(attempts, 3);
+        assert.equal(res.body.status, 'valid');
+        assert.notProperty(res.body.challenges[0], 'error');
+        assert.notProperty(res.headers, 'retry-after');
+        done();
+      })
+      .catch(done);
+  });
+
+  describe('revocation', function() {
+    let issuerConfig = {
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      challenges:         {auto: true},
+      caKey:              testCA.caKey,
+      caCert:             testCA.caCert
+    };
+    let names = ['not-example.com', 'www.not-example.com'];
+    let certKeyPair = testCA.rsaKeyPair();
+    let csr = testCA.makeCSR(names, certKeyPair);
+
+    let server;
+    let certificate;
+    beforeEach(function(done) {
+      server = new ACMEServer(issuerConfig);
+      putRegistration(server)
+        .then(() => issueCertificate(server, names, csr))
+        .then(pem => {
+          certificate = derBase64url(pem);
+          done();
+        })
+        .catch(done);
+    });
+
+    function revokeURL() {
+      return server.baseURL + '/revoke-cert';
+    }
+
+    function storedCertificate() {
+      let store = server.db.store['cert'];
+      return store[Object.keys(store)[0]];
+    }
+
+    it('is advertised in the directory', function(done) {
+      request(server.app).get('/directory')
+        .then(res => {
+          assert.equal(res.body.revokeCert, revokeURL());
+          done();
+        })
+        .catch(done);
+    });
+
+    it('revokes a certificate for the issuing account', function(done) {
+      let payload = {certificate: certificate, reason: 4};
+      postJWS(server, revokeURL(), payload)
+        .then(res => {
+          assert.equal(res.status, 200);
+
+          let cert = storedCertificate();
+          assert.equal(cert.status, 'revoked');
+          assert.equal(cert.revocationReason, 4);
+          assert.instanceOf(cert.revokedAt, Date);
+          return postJWS(server, revokeURL(), payload);
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:alreadyRevoked');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('revokes a certificate with its own key', function(done) {
+      let certClient = new MockClient();
+      nodeJose.JWK.asKey(certKeyPair.privateKey, 'pem')
+        .then(key => {
+          certClient._key = key;
+          return postJWS(server, revokeURL(), {certificate: certificate}, certClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(storedCertificate().status, 'revoked');
+          assert.equal(storedCertificate().revocationReason, 0);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses revocation by an unrelated account', function(done) {
+      let otherClient = new MockClient();
+      otherClient.key()
+        .then(key => key.thumbprint())
+        .then(tpBuffer => {
+          server.db.put({
+            id:   tpBuffer.toString('hex'),
+            key:  otherClient._key,
+            type: function() { return 'reg'; }
+          });
+          return postJWS(server, revokeURL(), {certificate: certificate}, otherClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 403);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:unauthorized');
+          assert.equal(storedCertificate().status, 'valid');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('revokes for an account with valid authorizations for all names', function(done) {
+      let otherClient = new MockClient();
+      let order = {identifiers: names.map(name => ({type: 'dns', value: name}))};
+      let pending;
+
+      otherClient.key()
+        .then(key => key.thumbprint())
+        .then(tpBuffer => {
+          server.db.put({
+            id:         tpBuffer.toString('hex'),
+            key:        otherClient._key,
+            thumbprint: tpBuffer.toString('hex'),
+            type:       function() { return 'reg'; }
+          });
+          return postJWS(server, server.baseURL + '/new-app', order, otherClient);
+        })
+        .then(res => {
+          // Set the first authorizations aside so that the next order gets
+          // new ones to validate
+          pending = res.body.authorizations.map(url => server.db.get('authz', url.split('/').pop()));
+          pending.forEach(authz => { authz.status = 'deactivated'; });
+          return postJWS(server, server.baseURL + '/new-app', order, otherClient);
+        })
+        .then(res => Promise.all(res.body.authorizations.map(url => {
+          return postJWS(server, url, {}, otherClient)
+            .then(authz => postJWS(server, authz.body.challenges[0].url, {}, otherClient));
+        })))
+        .then(() => server.validations.drain())
+        .then(() => {
+          // Pending authorizations for the names do not hide the valid ones
+          pending.forEach(authz => { authz.status = 'pending'; });
+          return postJWS(server, revokeURL(), {certificate: certificate}, otherClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(storedCertificate().status, 'revoked');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('answers a failure to store the revocation', function(done) {
+      server.crl = undefined;
+      server.db.put = function() {
+        throw new Error('Disk full');
+      };
+      postJWS(server, revokeURL(), {certificate: certificate})
+        .then(res => {
+          assert.equal(res.status, 500);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:serverInternal');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses the issuing account\'s key without its key ID', function(done) {
+      mockClient.makeJWS(server.transport.nonces.get(), revokeURL(), {certificate: certificate})
+        .then(jws => request(server.app).post(path(revokeURL())).send(jws))
+        .then(res => {
+          assert.equal(res.status, 403);
+          assert.equal(storedCertificate().status, 'valid');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects an unsupported reason code', function(done) {
+      postJWS(server, revokeURL(), {certificate: certificate, reason: 7})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:badRevocationReason');
+          assert.equal(storedCertificate().status, 'valid');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects an unknown certificate', function(done) {
+      let other = derBase64url(testCA.caCert);
+      postJWS(server, revokeURL(), {certificate: other})
+        .then(res => {
+          assert.equal(res.status, 404);
+          return postJWS(server, revokeURL(), {certificate: 'AAAA'});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('OCSP', function() {
+    let names = ['not-example.com'];
+    let csr = testCA.makeCSR(names, testCA.rsaKeyPair());
+
+    let server;
+    let certificate;
+    let serialNumber;
+    beforeEach(function(done) {
+      server = new ACMEServer({
+        host:       '127.0.0.1',
+        challenges: {auto: true},
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert
+      });
+      putRegistration(server)
+        .then(() => issueCertificate(server, names, csr))
+        .then(pem => {
+          certificate = pem;
+          serialNumber = pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+          done();
+        })
+        .catch(done);
+    });
+
+    function ocspURL() {
+      return server.baseURL + '/ocsp';
+    }
+
+    function postOCSP(serialNumbers) {
+      return request(server.app).post(path(ocspURL()))
+        .set('Content-Type', 'application/ocsp-request')
+        .send(testOCSP.request(testCA.caCert, serialNumbers))
+        .buffer(true).parse(binary);
+    }
+
+    it('lists the responder in issued certificates', function() {
+      let cert = new crypto.X509Certificate(certificate);
+      assert.equal(cert.infoAccess.trim(), `OCSP - URI:${ocspURL()}`);
+    });
+
+    it('answers POST requests', function(done) {
+      postOCSP([serialNumber, '4f00'])
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.headers['content-type'], /^application\/ocsp-response/);
+
+          let parsed = testOCSP.parseResponse(res.body);
+          assert.equal(parsed.status, 0);
+          assert.deepEqual(parsed.statuses.map(x => x.type), [0, 2]);
+          return postJWS(server, server.baseURL + '/revoke-cert', {
+            certificate: derBase64url(certificate),
+            reason:      1
+          });
+        })
+        .then(() => postOCSP([serialNumber]))
+        .then(res => {
+          let parsed = testOCSP.parseResponse(res.body);
+          assert.equal(parsed.statuses[0].type, 1);
+          assert.equal(parsed.statuses[0].value[1].value[0].value, '\x01');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('answers GET requests', function(done) {
+      let der = testOCSP.request(testCA.caCert, [serialNumber]);
+      let encoded = encodeURIComponent(der.toString('base64'));
+      request(server.app).get(path(`${ocspURL()}/${encoded}`))
+        .buffer(true).parse(binary)
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.headers['content-type'], /^application\/ocsp-response/);
+          assert.equal(testOCSP.parseResponse(res.body).statuses[0].type, 0);
+          return request(server.app).get(path(`${ocspURL()}/bm90IE9DU1A=`))
+            .buffer(true).parse(binary);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(testOCSP.parseResponse(res.body).status, 1);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('signs with a delegated responder', function(done) {
+      let signerKeyPair = testCA.ecKeyPair();
+      let signerCSR = testCA.buildCSR(['ocsp.not-example.com'], signerKeyPair);
+      let profile = new CertificateProfile({extendedKeyUsage: ['1.3.6.1.5.5.7.3.9']});
+      let signerCert = pki.issueCRT(signerCSR, null, null, testCA.caCert, testCA.caKey, profile);
+      server = new ACMEServer({
+        host:       '127.0.0.1',
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert,
+        ocspSigner: {key: signerKeyPair.privateKey, cert: signerCert}
+      });
+
+      postOCSP([serialNumber])
+        .then(res => {
+          let parsed = testOCSP.parseResponse(res.body);
+          assert.equal(parsed.status, 0);
+          assert.equal(parsed.statuses[0].type, 2);
+          assert.equal(parsed.responderID, testOCSP.keyHash(signerCert));
+          assert.isTrue(crypto.verify('sha256', parsed.tbs,
+                                      new crypto.X509Certificate(signerCert).publicKey,
+                                      parsed.signature));
+          done();
+        })
+        .catch(done);
+    });
+
+    it('is not served without a CA', function(done) {
+      server = new ACMEServer(serverConfig);
+      postOCSP([serialNumber])
+        .then(res => {
+          assert.equal(res.status, 404);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('CRLs', function() {
+    let names = ['not-example.com'];
+    let csr = testCA.makeCSR(names, testCA.rsaKeyPair());
+
+    // Issues a certificate and revokes it, resolving to its PEM
+    function issueAndRevoke(server) {
+      let certificate;
+      return putRegistration(server)
+        .then(() => issueCertificate(server, names, csr))
+        .then(pem => {
+          certificate = pem;
+          return postJWS(server, server.baseURL + '/revoke-cert', {
+            certificate: derBase64url(pem),
+            reason:      4
+          });
+        })
+        .then(() => certificate);
+    }
+
+    function distributionPoint(pem) {
+      let info = pki.certificateInfo(pki.pemToDER(pem));
+      let ext = info.extensions[CertificateProfile.OIDS.crlDistributionPoints];
+      let point = forge.asn1.fromDer(ext.value.toString('binary')).value[0];
+      return point.value[0].value[0].value[0].value;
+    }
+
+    function getCRL(server, url) {
+      return request(server.app).get(path(url)).buffer(true).parse(binary);
+    }
+
+    it('lists revoked certificates', function(done) {
+      let server = new ACMEServer({
+        host:       '127.0.0.1',
+        challenges: {auto: true},
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert
+      });
+      let serialNumber;
+      getCRL(server, server.baseURL + '/crl')
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.headers['content-type'], /^application\/pkix-crl/);
+          assert.deepEqual(testCRL.parse(res.body).entries, []);
+          return issueAndRevoke(server);
+        })
+        .then(pem => {
+          serialNumber = pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+          assert.equal(distributionPoint(pem), server.baseURL + '/crl');
+          return getCRL(server, distributionPoint(pem));
+        })
+        .then(res => {
+          assert.deepEqual(testCRL.parse(res.body).entries,
+                           [{serialNumber: serialNumber, reason: '\x04'}]);
+          return getCRL(server, server.baseURL + '/crl/0');
+        })
+        .then(res => {
+          assert.equal(res.status, 404);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('serves sharded CRLs', function(done) {
+      let server = new ACMEServer({
+        host:       '127.0.0.1',
+        challenges: {auto: true},
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert,
+        crlShards:  4
+      });
+      let serialNumber;
+      issueAndRevoke(server)
+        .then(pem => {
+          serialNumber = pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+          assert.match(distributionPoint(pem), /\/crl\/[0-3]$/);
+          return getCRL(server, distributionPoint(pem));
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          let entries = testCRL.parse(res.body).entries;
+          assert.deepEqual(entries.map(x => x.serialNumber), [serialNumber]);
+          return getCRL(server, server.baseURL + '/crl');
+        })
+        .then(res => {
+          assert.equal(res.status, 404);
+          return Promise.all(['4', 'abc', '-1', '1.5', '0x1'].map(shard => {
+            return getCRL(server, `${server.baseURL}/crl/${shard}`);
+          }));
+        })
+        .then(responses => {
+          assert.deepEqual(responses.map(res => res.status), [404, 404, 404, 404, 404]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('is not served without a CA', function(done) {
+      let server = new ACMEServer(serverConfig);
+      getCRL(server, server.baseURL + '/crl')
+        .then(res => {
+          assert.equal(res.status, 404);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('renewal information', function() {
+    let names = ['not-example.com', 'www.not-example.com'];
+    let csr = testCA.makeCSR(names, testCA.rsaKeyPair());
+
+    let server;
+    let certificate;
+    beforeEach(function(done) {
+      server = new ACMEServer({
+        host:       '127.0.0.1',
+        challenges: {auto: true},
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert
+      });
+      putRegistration(server)
+        .then(() => issueCertificate(server, names, csr))
+        .then(pem => {
+          certificate = pem;
+          done();
+        })
+        .catch(done);
+    });
+
+    function renewalID() {
+      return pki.renewalID(pki.pemToDER(certificate));
+    }
+
+    function renewalInfoURL(id) {
+      return `${server.baseURL}/renewal-info/${id || renewalID()}`;
+    }
+
+    function suggestedWindow(res) {
+      return {
+        start: new Date(res.body.suggestedWindow.start),
+        end:   new Date(res.body.suggestedWindow.end)
+      };
+    }
+
+    function newOrder(payload, client) {
+      let order = Object.assign({
+        identifiers: names.map(name => ({type: 'dns', value: name}))
+      }, payload);
+      return postJWS(server, server.baseURL + '/new-app', order, client);
+    }
+
+    it('is advertised in the directory', function(done) {
+      request(server.app).get('/directory')
+        .then(res => {
+          assert.equal(res.body.renewalInfo, server.baseURL + '/renewal-info');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('suggests a window late in the validity period', function(done) {
+      let info = pki.certificateInfo(pki.pemToDER(certificate));
+      request(server.app).get(path(renewalInfoURL()))
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.headers['retry-after'], '21600');
+          assert.notProperty(res.body, 'explanationURL');
+
+          let window = suggestedWindow(res);
+          let lifetime = info.notAfter - info.notBefore;
+          assert.isAbove(window.start - info.notBefore, lifetime / 2);
+          assert.isAbove(window.end, window.start);
+          assert.isBelow(window.end, info.notAfter);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('suggests renewing a revoked certificate right away', function(done) {
+      postJWS(server, server.baseURL + '/revoke-cert', {certificate: derBase64url(certificate)})
+        .then(res => {
+          assert.equal(res.status, 200);
+          return request(server.app).get(path(renewalInfoURL()));
+        })
+        .then(res => {
+          assert.isAtMost(suggestedWindow(res).end.getTime(), Date.now());
+          done();
+        })
+        .catch(done);
+    });
+
+    it('suggests windows that the operator forces', function(done) {
+      let serialNumber = pki.certificateInfo(pki.pemToDER(certificate)).serialNumber;
+      let start = new Date(Date.now() + 60 * 1000);
+      let end = new Date(Date.now() + 120 * 1000);
+      server.forceRenewal({
+        serialNumbers:  [serialNumber.toUpperCase()],
+        start:          start,
+        end:            end,
+        explanationURL: 'https://example.com/incident'
+      });
+      request(server.app).get(path(renewalInfoURL()))
+        .then(res => {
+          assert.deepEqual(suggestedWindow(res), {start: start, end: end});
+          assert.equal(res.body.explanationURL, 'https://example.com/incident');
+
+          server.clearForcedRenewals();
+          server.forceRenewal();
+          return request(server.app).get(path(renewalInfoURL()));
+        })
+        .then(res => {
+          let window = suggestedWindow(res);
+          assert.isAtMost(window.start.getTime(), Date.now());
+          assert.equal(window.end - window.start, 3600 * 1000);
+          assert.notProperty(res.body, 'explanationURL');
+
+          server.clearForcedRenewals();
+          return request(server.app).get(path(renewalInfoURL()));
+        })
+        .then(res => {
+          assert.isAbove(suggestedWindow(res).start.getTime(), Date.now());
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects unknown and malformed renewal IDs', function(done) {
+      let otherIssuer = renewalID().replace(/^[^.]+/, 'AAAA');
+      request(server.app).get(path(renewalInfoURL(otherIssuer)))
+        .then(res => {
+          assert.equal(res.status, 404);
+          return request(server.app).get(path(renewalInfoURL('foo')));
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('accepts orders that replace a certificate', function(done) {
+      let replaces = renewalID();
+      newOrder({replaces: replaces})
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.equal(res.body.replaces, replaces);
+          return newOrder({replaces: replaces});
+        })
+        .then(res => {
+          assert.equal(res.status, 409);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:alreadyReplaced');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects orders that replace the wrong certificate', function(done) {
+      let replaces = renewalID();
+      newOrder({replaces: 'foo'})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          return newOrder({replaces: replaces.replace(/^[^.]+/, 'AAAA')});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          return newOrder({
+            identifiers: [{type: 'dns', value: 'other.not-example.com'}],
+            replaces:    replaces
+          });
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.match(res.body.title, /no names in common/);
+          let other = new MockClient();
+          return postJWS(server, server.baseURL + '/new-acct', {}, other)
+            .then(() => newOrder({replaces: replaces}, other));
+        })
+        .then(res => {
+          assert.equal(res.status, 403);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:unauthorized');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('key change', function() {
+    let jose = new Jose();
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+    let server;
+    let newClient;
+    let accountURL;
+    let keyChangeURL;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(serverConfig);
+      newClient = new MockClient();
+      keyChangeURL = server.baseURL + '/key-change';
+      putRegistration(server)
+        .then(tpBuffer => {
+          accountURL = `${server.baseURL}/reg/${tpBuffer.toString('hex')}`;
+          return newClient.key();
+        })
+        .then(() => done())
+        .catch(done);
+    });
+
+    function keyChange(account, oldKey, url) {
+      let inner = {account: account, oldKey: oldKey.toJSON()};
+      return jose.signInner(newClient._key, inner, url || keyChangeURL)
+        .then(jws => postJWS(server, keyChangeURL, jws));
+    }
+
+    it('is advertised in the directory', function(done) {
+      request(server.app).get('/directory')
+        .then(res => {
+          assert.equal(res.body.keyChange, keyChangeURL);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('moves an account to a new key', function(done) {
+      let authzURL;
+      postJWS(server, server.baseURL + '/new-app', order)
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          return keyChange(accountURL, mockClient._key);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body.key, newClient._key.toJSON());
+
+          // The account's key ID no longer goes with the old key
+          let url = server.baseURL + '/new-app';
+          return mockClient.makeKidJWS(server.transport.nonces.get(), url, accountURL, order)
+            .then(jws => request(server.app).post(path(url)).send(jws));
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          return postJWS(server, server.baseURL + '/new-app', order, newClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.deepEqual(res.body.authorizations, [authzURL]);
+          return postJWS(server, accountURL, {}, newClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('validates pending challenges with the new key', function(done) {
+      let thumbprint;
+      let authzURL;
+      let standIn;
+
+      server = new ACMEServer({
+        host:               '127.0.0.1',
+        authzExpirySeconds: 30 * 24 * 3600,
+        httpChallenge:      {host: '127.0.0.1', port: HTTP_PORT}
+      });
+      putRegistration(server)
+        .then(tpBuffer => {
+          accountURL = `${server.baseURL}/reg/${tpBuffer.toString('hex')}`;
+          return postJWS(server, server.baseURL + '/new-app', order);
+        })
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          return keyChange(accountURL, mockClient._key);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          return newClient._key.thumbprint();
+        })
+        .then(tpBuffer => {
+          thumbprint = nodeJose.util.base64url.encode(tpBuffer);
+          standIn = http.createServer((req, res) => {
+            res.end(`${req.url.split('/').pop()}.${thumbprint}`);
+          });
+          return new Promise(resolve => standIn.listen(HTTP_PORT, resolve));
+        })
+        .then(() => postJWS(server, authzURL, {}, newClient))
+        .then(res => {
+          let challenge = res.body.challenges.filter(x => (x.type === 'http-01'))[0];
+          return postJWS(server, challenge.url, {}, newClient);
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          return server.validations.drain();
+        })
+        .then(() => postJWS(server, authzURL, {}, newClient))
+        .then(res => {
+          standIn.close();
+          assert.equal(res.body.status, 'valid');
+          done();
+        })
+        .catch(err => {
+          if (standIn) {
+            standIn.close();
+          }
+          done(err);
+        });
+    });
+
+    it('refuses a key that belongs to another account', function(done) {
+      newClient._key.thumbprint()
+        .then(tpBuffer => {
+          server.db.put({
+            id:   tpBuffer.toString('hex'),
+            key:  newClient._key,
+            type: function() { return 'reg'; }
+          });
+          return keyChange(accountURL, mockClient._key);
+        })
+        .then(res => {
+          assert.equal(res.status, 409);
+          assert.match(res.headers.location, /\/reg\//);
+          assert.notEqual(res.headers.location, accountURL);
+          return postJWS(server, server.baseURL + '/new-app', order);
+        })
+        .then(res => {
+          assert.equal(res.status, 201);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses the wrong old key', function(done) {
+      keyChange(accountURL, newClient._key)
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.match(res.body.description, /Old key/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses a change for another account', function(done) {
+      keyChange(server.baseURL + '/reg/other', mockClient._key)
+        .then(res => {
+          assert.equal(res.status, 400);
+          return keyChange(accountURL, mockClient._key, server.baseURL + '/other');
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.match(res.body.description, /url/);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('account deactivation', function() {
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+    let server;
+    let accountURL;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(serverConfig);
+      let reg = {contact: ['mailto:anonymous@example.com']};
+      postJWS(server, server.baseURL + '/new-acct', reg)
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.equal(res.body.status, 'valid');
+          accountURL = res.headers.location;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('deactivates an account and its pending authorizations', function(done) {
+      let authzURL;
+      postJWS(server, server.baseURL + '/new-app', order)
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          return postJWS(server, accountURL, {status: 'deactivated'});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'deactivated');
+
+          let authz = server.db.get('authz', path(authzURL).split('/').pop());
+          assert.equal(authz.status, 'invalid');
+          return postJWS(server, authzURL, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:unauthorized');
+          return postJWS(server, server.baseURL + '/new-app', order);
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          return postJWS(server, accountURL, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects other status changes', function(done) {
+      postJWS(server, accountURL, {status: 'revoked'})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          return postJWS(server, accountURL, {status: 'valid'});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'valid');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('authorizations', function() {
+    let identifier = {type: 'dns', value: 'not-example.com'};
+    let server;
+    let newAuthzURL;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(serverConfig);
+      newAuthzURL = server.baseURL + '/new-authz';
+      putRegistration(server)
+        .then(() => done())
+        .catch(done);
+    });
+
+    it('pre-authorizes an identifier', function(done) {
+      let authzURL;
+      postJWS(server, newAuthzURL, {identifier: identifier})
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.property(res.headers, 'location');
+          assert.deepEqual(res.body.identifier, identifier);
+          assert.equal(res.body.status, 'pending');
+          authzURL = res.headers.location;
+          return postJWS(server, newAuthzURL, {identifier: identifier});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.headers.location, authzURL);
+          return postJWS(server, server.baseURL + '/new-app', {identifiers: [identifier]});
+        })
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.deepEqual(res.body.authorizations, [authzURL]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects a pre-authorization without an identifier', function(done) {
+      postJWS(server, newAuthzURL, {identifier: {type: 'dns'}})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('deactivates an authorization and its orders', function(done) {
+      let authzURL;
+      let orderURL;
+      postJWS(server, server.baseURL + '/new-app', {identifiers: [identifier]})
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          orderURL = res.headers.location;
+          return postJWS(server, authzURL, {status: 'deactivated'});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'deactivated');
+          return postJWS(server, orderURL, {});
+        })
+        .then(res => {
+          assert.equal(res.body.status, 'invalid');
+          return postJWS(server, authzURL, {status: 'deactivated'});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          return postJWS(server, newAuthzURL, {identifier: identifier});
+        })
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.notEqual(res.headers.location, authzURL);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses to deactivate another account\'s authorization', function(done) {
+      let other = new MockClient();
+      let authzURL;
+      postJWS(server, newAuthzURL, {identifier: identifier})
+        .then(res => {
+          authzURL = res.headers.location;
+          return other.key();
+        })
+        .then(k => k.thumbprint())
+        .then(tpBuffer => {
+          let thumbprint = tpBuffer.toString('hex');
+          server.db.put({
+            id:         thumbprint,
+            key:        other._key,
+            thumbprint: thumbprint,
+            type:       function() { return 'reg'; }
+          });
+          return postJWS(server, authzURL, {status: 'deactivated'}, other);
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          return postJWS(server, authzURL, {});
+        })
+        .then(res => {
+          assert.equal(res.body.status, 'pending');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('shows authorizations and orders only to their account', function(done) {
+      let other = new MockClient();
+      let authzURL;
+      let orderURL;
+      postJWS(server, server.baseURL + '/new-app', {identifiers: [identifier]})
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          orderURL = res.headers.location;
+
+          // A key without an account is turned away, even signing with a jwk
+          return other.key()
+            .then(() => other.makeJWS(server.transport.nonces.get(), orderURL, {}))
+            .then(jws => request(server.app).post(path(orderURL)).send(jws));
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          return other.key();
+        })
+        .then(k => k.thumbprint())
+        .then(tpBuffer => {
+          let thumbprint = tpBuffer.toString('hex');
+          server.db.put({
+            id:         thumbprint,
+            key:        other._key,
+            thumbprint: thumbprint,
+            type:       function() { return 'reg'; }
+          });
+          return Promise.all([
+            postJWS(server, orderURL, {}, other),
+            postJWS(server, authzURL, {}, other)
+          ]);
+        })
+        .then(responses => {
+          responses.forEach(res => {
+            assert.equal(res.status, 401);
+            assert.equal(res.body.type, 'urn:ietf:params:acme:error:unauthorized');
+          });
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('certificate chains', function() {
+    let names = ['not-example.com'];
+    let csr = testCA.makeCSR(names, testCA.rsaKeyPair());
+    let chainConfig = {
+      host:            '127.0.0.1',
+      challenges:      {auto: true},
+      caKey:           testCA.caKey,
+      chain:           [testCA.caCert, testCA.ecCACert],
+      alternateChains: [[testCA.caCert]]
+    };
+
+    function certificates(chain) {
+      return chain.match(/-----BEGIN CERTIFICATE-----/g).length;
+    }
+
+    // Issues a certificate, resolving to its URL
+    function issue(server) {
+      return putRegistration(server)
+        .then(() => issueCertificate(server, names, csr))
+        .then(pem => {
+          let serialNumber = pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+          return server.db.certificateFor(serialNumber).url;
+        });
+    }
+
+    it('serves the certificate with the chain', function(done) {
+      let server = new ACMEServer(chainConfig);
+      let certURL;
+      issue(server)
+        .then(url => {
+          certURL = url;
+          return postJWS(server, certURL, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.headers['content-type'], /^application\/pem-certificate-chain/);
+          assert.equal(certificates(res.text), 3);
+          assert.isTrue(res.text.endsWith(testCA.ecCACert.replace(/\r\n/g, '\n')));
+          assert.equal(res.headers.link, `<${certURL}/1>; rel="alternate"`);
+          return request(server.app).get(path(certURL));
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.headers['content-type'], /^application\/pem-certificate-chain/);
+          assert.equal(certificates(res.text), 3);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('serves alternate chains', function(done) {
+      let server = new ACMEServer(chainConfig);
+      let certURL;
+      issue(server)
+        .then(url => {
+          certURL = url;
+          return postJWS(server, certURL + '/1', {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(certificates(res.text), 2);
+          assert.equal(res.headers.link, `<${certURL}>; rel="alternate"`);
+          return postJWS(server, certURL + '/2', {});
+        })
+        .then(res => {
+          assert.equal(res.status, 404);
+          return postJWS(server, server.baseURL + '/cert/foo', {});
+        })
+        .then(res => {
+          assert.equal(res.status, 404);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('serves a chain of just the CA certificate by default', function(done) {
+      let server = new ACMEServer({
+        host:       '127.0.0.1',
+        challenges: {auto: true},
+        caKey:      testCA.caKey,
+        caCert:     testCA.caCert
+      });
+      issue(server)
+        .then(url => postJWS(server, url, {}))
+        .then(res => {
+          assert.equal(certificates(res.text), 2);
+          assert.notProperty(res.headers, 'link');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('storage', function() {
+    let storageConfig = {
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      challenges:         {auto: true},
+      caKey:              testCA.caKey,
+      caCert:             testCA.caCert
+    };
+    let names = ['not-example.com'];
+    let csr = testCA.makeCSR(names, testCA.rsaKeyPair());
+
+    it('keeps its objects across restarts', function(done) {
+      let file = temp.path({suffix: '.json'});
+      let config = Object.assign({storage: new FileStorage(file)}, storageConfig);
+      let server = new ACMEServer(config);
+      let accountURL;
+      let authzURL;
+      let orderURL;
+      let pem;
+
+      postJWS(server, server.baseURL + '/new-acct', {contact: ['mailto:anonymous@example.com']})
+        .then(res => {
+          accountURL = res.headers.location;
+          return postJWS(server, server.baseURL + '/new-app',
+                         {identifiers: [{type: 'dns', value: names[0]}]});
+        })
+        .then(res => {
+          orderURL = res.headers.location;
+          authzURL = res.body.authorizations[0];
+          return issueCertificate(server, names, csr);
+        })
+        .then(issued => {
+          pem = issued;
+
+          // A new server on the same file picks up where the old one left off
+          config = Object.assign({storage: new FileStorage(file)}, storageConfig);
+          server = new ACMEServer(config);
+          return postJWS(server, accountURL, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body.key, mockClient._key.toJSON());
+          return postJWS(server, authzURL, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'valid');
+          assert.equal(res.body.challenges[0].status, 'valid');
+          return postJWS(server, orderURL, {});
+        })
+        .then(res => {
+          assert.equal(res.body.status, 'ready');
+          return postJWS(server, server.baseURL + '/new-app',
+                         {identifiers: [{type: 'dns', value: names[0]}]});
+        })
+        .then(res => {
+          assert.deepEqual(res.body.authorizations, [authzURL]);
+
+          let serialNumber = pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+          let cert = server.db.certificateFor(serialNumber);
+          assert.deepEqual(cert.der, pki.pemToDER(pem));
+          assert.equal(cert.thumbprint, accountURL.split('/').pop());
+          assert.deepEqual(cert.names, names);
+          assert.equal(cert.notAfter.getTime(),
+                       new Date(new crypto.X509Certificate(pem).validTo).getTime());
+          assert.instanceOf(cert.notBefore, Date);
+          let order = server.db.get('app', cert.order.split('/').pop());
+          assert.equal(order.certificate, cert.url);
+          return postJWS(server, cert.url, {});
+        })
+        .then(res => {
+          assert.equal(leaf(res.text), pem);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('keeps authorizations pending across restarts by default', function(done) {
+      let file = temp.path({suffix: '.json'});
+      let config = {host: '127.0.0.1', challenges: {auto: true}};
+      let server = new ACMEServer(Object.assign({storage: new FileStorage(file)}, config));
+      let authzURL;
+
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app',
+                            {identifiers: [{type: 'dns', value: names[0]}]}))
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          server = new ACMEServer(Object.assign({storage: new FileStorage(file)}, config));
+          return putRegistration(server);
+        })
+        .then(() => postJWS(server, authzURL, {}))
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'pending');
+          assert.isAbove(new Date(res.body.expires).getTime(), Date.now());
+
+          // Records saved without an expiry are taken to have expired
+          let records = JSON.parse(fs.readFileSync(file, 'utf8'));
+          delete records.authz[authzURL.split('/').pop()].expires;
+          fs.writeFileSync(file, JSON.stringify(records));
+
+          server = new ACMEServer(Object.assign({storage: new FileStorage(file)}, config));
+          return putRegistration(server);
+        })
+        .then(() => postJWS(server, authzURL, {}))
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'invalid');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('writes objects back only when their status changes', function(done) {
+      let storage = new MemoryStorage();
+      let server = new ACMEServer(Object.assign({storage: storage}, storageConfig));
+      let saves = 0;
+      let save = storage.save;
+      storage.save = function() {
+        saves += 1;
+        return save.apply(this, arguments);
+      };
+
+      let authzURL;
+      let orderURL;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app',
+                            {identifiers: [{type: 'dns', value: names[0]}]}))
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          orderURL = res.headers.location;
+          saves = 0;
+          return Promise.all([
+            postJWS(server, authzURL, {}),
+            request(server.app).get(path(authzURL + '/0')),
+            postJWS(server, orderURL, {})
+          ]);
+        })
+        .then(responses => {
+          responses.forEach(res => assert.equal(res.status, 200));
+          assert.equal(saves, 0);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('resumes validations after a restart', function(done) {
+      // The first server never finishes validating; the second one does
+      class StalledValidation extends Validation {
+        validate() {
+          return new Promise(() => {});
+        }
+      }
+      class MagicWordValidation extends Validation {
+        validate(payload) {
+          if (payload.word !== 'please') {
+            throw Validation.failure('incorrectResponse', 'Wrong word');
+          }
+        }
+      }
+
+      let storage = new MemoryStorage();
+      let server = new ACMEServer({
+        host:               '127.0.0.1',
+        authzExpirySeconds: 30 * 24 * 3600,
+        storage:            storage,
+        validators:         {'magic-01': StalledValidation},
+        challenges:         {'magic-01': true}
+      });
+      let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+
+      let authzURL;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          authzURL = res.body.authorizations[0];
+          return postJWS(server, authzURL, {});
+        })
+        .then(res => postJWS(server, res.body.challenges[0].url, {word: 'please'}))
+        .then(res => {
+          assert.equal(res.body.status, 'processing');
+
+          server = new ACMEServer({
+            host:               '127.0.0.1',
+            authzExpirySeconds: 30 * 24 * 3600,
+            storage:            storage,
+            validators:         {'magic-01': MagicWordValidation},
+            challenges:         {'magic-01': true}
+          });
+          return server.validations.drain();
+        })
+        .then(() => postJWS(server, authzURL, {}))
+        .then(res => {
+          assert.equal(res.body.challenges[0].status, 'valid');
+          assert.equal(res.body.status, 'valid');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('key IDs', function() {
+    let server;
+    let accountURL;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(serverConfig);
+      postJWS(server, server.baseURL + '/new-acct', {})
+        .then(res => {
+          accountURL = res.headers.location;
+          done();
+        })
+        .catch(done);
+    });
+
+    function post(url, kid, payload) {
+      let nonce = server.transport.nonces.get();
+      let jws = kid ? mockClient.makeKidJWS(nonce, url, kid, payload)
+                    : mockClient.makeJWS(nonce, url, payload);
+      return jws.then(x => request(server.app).post(path(url)).send(x));
+    }
+
+    it('authenticates an account by its URL', function(done) {
+      assert.equal(accountURL.indexOf(server.baseURL + '/reg/'), 0);
+      post(accountURL, accountURL, {})
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.deepEqual(res.body.key, mockClient._key.toJSON());
+          done();
+        })
+        .catch(done);
+    });
+
+    it('reports key IDs that are not accounts', function(done) {
+      let url = server.baseURL + '/new-app';
+      post(url, server.baseURL + '/reg/unknown', {})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:accountDoesNotExist');
+          return post(url, 'http://acme-v02.api.letsencrypt.org/acme/reg/unknown', {});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:accountDoesNotExist');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('requires a key ID for account requests', function(done) {
+      post(accountURL, null, {})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          return post(server.baseURL + '/new-app', null,
+                      {identifiers: [{type: 'dns', value: 'not-example.com'}]});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('requires a jwk for new accounts', function(done) {
+      post(server.baseURL + '/new-acct', accountURL, {})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('external account binding', function() {
+    let jose = new Jose();
+    let server;
+    let newAccountURL;
+    let credentials;
+
+    beforeEach(function() {
+      server = new ACMEServer(Object.assign({externalAccountRequired: true}, serverConfig));
+      newAccountURL = server.baseURL + '/new-acct';
+      credentials = server.provisionExternalAccount('tenant-1');
+    });
+
+    function newAccount(client, macKey, kid) {
+      return client.key()
+        .then(k => jose.signMAC(kid || credentials.kid, macKey || credentials.macKey,
+                                k.toJSON(), newAccountURL))
+        .then(binding => postJWS(server, newAccountURL, {externalAccountBinding: binding},
+                                 client));
+    }
+
+    it('is advertised in the directory', function(done) {
+      request(server.app).get('/directory')
+        .then(res => {
+          assert.isTrue(res.body.meta.externalAccountRequired);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('is required for new accounts', function(done) {
+      postJWS(server, newAccountURL, {}, new MockClient())
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:externalAccountRequired');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('binds a new account once', function(done) {
+      let client = new MockClient();
+      newAccount(client)
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.property(res.body, 'externalAccountBinding');
+          let id = path(res.headers.location).split('/').pop();
+          assert.equal(server.db.get('eab', 'tenant-1').account, id);
+          return newAccount(new MockClient());
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          assert.match(res.body.description, /already bound/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects bindings that do not verify', function(done) {
+      let client = new MockClient();
+      let otherKey = nodeJose.util.base64url.encode(Buffer.alloc(32));
+      newAccount(client, otherKey)
+        .then(res => {
+          assert.equal(res.status, 401);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:unauthorized');
+          return newAccount(client, null, 'tenant-2');
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          return new MockClient().key();
+        })
+        .then(k => jose.signMAC(credentials.kid, credentials.macKey, k.toJSON(), newAccountURL))
+        .then(binding => postJWS(server, newAccountURL, {externalAccountBinding: binding},
+                                 client))
+        .then(res => {
+          assert.equal(res.status, 401);
+          assert.match(res.body.description, /different key/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('revokes credentials and the account bound with them', function(done) {
+      let client = new MockClient();
+      let other = server.provisionExternalAccount();
+      let accountURL;
+      newAccount(client)
+        .then(res => {
+          accountURL = res.headers.location;
+          server.revokeExternalAccount('tenant-1');
+          server.revokeExternalAccount(other.kid);
+          return postJWS(server, accountURL, {}, client);
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          return newAccount(new MockClient(), other.macKey, other.kid);
+        })
+        .then(res => {
+          assert.equal(res.status, 401);
+          assert.match(res.body.description, /Unknown external account/);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('orders', function() {
+    let order = {identifiers: [{type: 'dns', value: 'not-example.com'}]};
+    let server;
+    let ordersURL;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(Object.assign({ordersPageSize: 2}, serverConfig));
+      postJWS(server, server.baseURL + '/new-acct', {})
+        .then(res => {
+          ordersURL = res.body.orders;
+          done();
+        })
+        .catch(done);
+    });
+
+    function nextLink(res) {
+      let match = (res.headers.link || '').match(/<([^>]+)>;\s*rel="next"/);
+      return match && match[1];
+    }
+
+    it('lists an account\'s orders a page at a time', function(done) {
+      let created = [];
+      let listed = [];
+      let newOrder = () => postJWS(server, server.baseURL + '/new-app', order)
+        .then(res => created.push(res.headers.location));
+
+      assert.match(ordersURL, /\/reg\/[^/]+\/orders$/);
+      newOrder()
+        .then(newOrder)
+        .then(newOrder)
+        .then(() => postJWS(server, ordersURL, {}))
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.orders.length, 2);
+          listed = listed.concat(res.body.orders);
+          assert.ok(nextLink(res));
+          return postJWS(server, nextLink(res), {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.isNull(nextLink(res));
+          listed = listed.concat(res.body.orders);
+          assert.deepEqual(listed, created);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('lists orders only for their account', function(done) {
+      let other = new MockClient();
+      postJWS(server, server.baseURL + '/new-acct', {}, other)
+        .then(() => postJWS(server, ordersURL, {}, other))
+        .then(res => {
+          assert.equal(res.status, 401);
+          return postJWS(server, ordersURL + '?cursor=-1', {});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('order lifecycle', function() {
+    let issuerConfig = {
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      challenges:         {auto: true},
+      caKey:              testCA.caKey,
+      caCert:             testCA.caCert
+    };
+    let names = ['not-example.com'];
+    let order = {identifiers: names.map(name => ({type: 'dns', value: name}))};
+    let keyPair = testCA.rsaKeyPair();
+
+    // Validates all of an order's authorizations, resolving to the order
+    function authorize(server, body) {
+      return Promise.all(body.authorizations.map(url => {
+        return postJWS(server, url, {})
+          .then(authz => postJWS(server, authz.body.challenges[0].url, {}));
+      }))
+      .then(() => server.validations.drain());
+    }
+
+    it('creates an order that expires', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.equal(res.body.status, 'pending');
+          assert.deepEqual(res.body.identifiers, order.identifiers);
+          assert.isAbove(new Date(res.body.expires).getTime(), Date.now());
+          return postJWS(server, server.baseURL + '/new-app', {identifiers: []});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('finalizes only ready orders with a matching CSR', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let body;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          body = res.body;
+          return postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)});
+        })
+        .then(res => {
+          assert.equal(res.status, 403);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:orderNotReady');
+          return authorize(server, body);
+        })
+        .then(() => {
+          let csr = testCA.makeCSR(names.concat(['www.not-example.com']), keyPair);
+          return postJWS(server, body.finalize, {csr: csr});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:badCSR');
+          return postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'valid');
+          assert.property(res.body, 'certificate');
+          return postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)});
+        })
+        .then(res => {
+          assert.equal(res.status, 403);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects CSRs that break policy', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let body;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          body = res.body;
+          return authorize(server, body);
+        })
+        .then(() => {
+          let csr = testCA.buildCSR(names, testCA.rsaKeyPair(1024));
+          return postJWS(server, body.finalize, {csr: csr});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:badCSR');
+          assert.match(res.body.description, /2048 bits/);
+          return postJWS(server, body.finalize, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          return postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('issues for EC keys from an EC CA', function(done) {
+      let server = new ACMEServer(Object.assign({}, issuerConfig, {
+        caKey:  testCA.ecCAKey,
+        caCert: testCA.ecCACert
+      }));
+      let certKeyPair = testCA.ecKeyPair();
+      let body;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          body = res.body;
+          return authorize(server, body);
+        })
+        .then(() => {
+          let csr = testCA.buildCSR(names, certKeyPair);
+          return postJWS(server, body.finalize, {csr: csr});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'valid');
+
+          let cert = server.db.get('cert', res.body.certificate.split('/').pop());
+          assert.deepEqual(pki.certificateInfo(cert.der).publicKey,
+                           pki.pemToDER(certKeyPair.publicKey));
+          done();
+        })
+        .catch(done);
+    });
+
+    it('issues with the configured profile and validity cap', function(done) {
+      let server = new ACMEServer(Object.assign({}, issuerConfig, {
+        maxValiditySeconds: 7 * 24 * 3600,
+        profile:            {ocspURL: 'http://ocsp.not-example.com/'}
+      }));
+      let notAfter = new Date(Date.now() + 365 * 24 * 3600 * 1000);
+      let body;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app',
+                            Object.assign({notAfter: notAfter.toISOString()}, order)))
+        .then(res => {
+          body = res.body;
+          return authorize(server, body);
+        })
+        .then(() => postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)}))
+        .then(res => {
+          assert.equal(res.status, 200);
+          let cert = server.db.get('cert', res.body.certificate.split('/').pop());
+          let x509 = new crypto.X509Certificate(cert.der);
+          assert.isBelow(new Date(x509.validTo).getTime(),
+                         Date.now() + 8 * 24 * 3600 * 1000);
+          assert.include(x509.infoAccess, 'OCSP - URI:http://ocsp.not-example.com/');
+          assert.isFalse(x509.ca);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('never issues a serial number twice', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let issue = server.CA.issueCertificate.bind(server.CA);
+      let pem;
+      server.CA.issueCertificate = function() {
+        pem = pem || issue.apply(null, arguments);
+        return pem;
+      };
+
+      putRegistration(server)
+        .then(() => issueCertificate(server, names, testCA.makeCSR(names, keyPair)))
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => postJWS(server, res.body.finalize, {csr: testCA.makeCSR(names, keyPair)}))
+        .then(res => {
+          assert.equal(res.body.status, 'invalid');
+          assert.equal(res.body.error.type, 'urn:ietf:params:acme:error:serverInternal');
+          assert.match(res.body.error.description, /already in use/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('becomes invalid when an authorization fails', function(done) {
+      class FailingValidation extends Validation {
+        validate() {
+          throw Validation.failure('incorrectResponse', 'Nope');
+        }
+      }
+
+      let server = new ACMEServer(Object.assign({}, issuerConfig, {
+        validators: {'fail-01': FailingValidation},
+        challenges: {'fail-01': true}
+      }));
+      let orderURL;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          orderURL = res.headers.location;
+          return authorize(server, res.body);
+        })
+        .then(() => postJWS(server, orderURL, {}))
+        .then(res => {
+          assert.equal(res.body.status, 'invalid');
+          assert.equal(res.body.error.type, 'urn:ietf:params:acme:error:unauthorized');
+          assert.match(res.body.error.title, /not-example.com is invalid/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('finalizes in the background when asked to', function(done) {
+      let server = new ACMEServer(Object.assign({asyncFinalize: true, issuanceDelay: 100},
+                                                issuerConfig));
+      let orderURL;
+      let body;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          orderURL = res.headers.location;
+          body = res.body;
+          return authorize(server, body);
+        })
+        .then(() => postJWS(server, body.finalize, {csr: testCA.makeCSR(names, keyPair)}))
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.equal(res.body.status, 'processing');
+          assert.notProperty(res.body, 'certificate');
+          assert.equal(res.headers['retry-after'], '1');
+          return postJWS(server, orderURL, {});
+        })
+        .then(res => {
+          assert.equal(res.body.status, 'processing');
+          assert.equal(res.headers['retry-after'], '1');
+          return new Promise(resolve => setTimeout(resolve, 200));
+        })
+        .then(() => postJWS(server, orderURL, {}))
+        .then(res => {
+          assert.equal(res.body.status, 'valid');
+          assert.notProperty(res.headers, 'retry-after');
+          return postJWS(server, res.body.certificate, {});
+        })
+        .then(res => {
+          assert.equal(res.status, 200);
+          assert.match(res.text, /BEGIN CERTIFICATE/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('becomes invalid when it expires', function(done) {
+      let server = new ACMEServer(Object.assign({orderExpirySeconds: 0.001}, issuerConfig));
+      let orderURL;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          orderURL = res.headers.location;
+          return new Promise(resolve => setTimeout(resolve, 10));
+        })
+        .then(() => postJWS(server, orderURL, {}))
+        .then(res => {
+          assert.equal(res.body.status, 'invalid');
+          assert.equal(res.body.error.type, 'urn:ietf:params:acme:error:orderNotReady');
+          assert.match(res.body.error.title, /expired/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('becomes invalid when an authorization no longer exists', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let orderURL;
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', order))
+        .then(res => {
+          orderURL = res.headers.location;
+          let authzURL = res.body.authorizations[0];
+          delete server.db.store.authz[authzURL.split('/').pop()];
+          return postJWS(server, orderURL, {});
+        })
+        .then(res => {
+          assert.equal(res.body.status, 'invalid');
+          assert.equal(res.body.error.type, 'urn:ietf:params:acme:error:unauthorized');
+          assert.match(res.body.error.title, /no longer exists/);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('identifiers', function() {
+    // Stands in for dns-01 without publishing records
+    class PassingDNSValidation extends DNSValidation {
+      validate() {}
+    }
+
+    let issuerConfig = {
+      host:               '127.0.0.1',
+      authzExpirySeconds: 30 * 24 * 3600,
+      validators:         {'dns-01': PassingDNSValidation},
+      challenges:         {'dns-01': true, auto: true},
+      caKey:              testCA.caKey,
+      caCert:             testCA.caCert
+    };
+    let keyPair = testCA.ecKeyPair();
+    let unsupported = 'urn:ietf:params:acme:error:unsupportedIdentifier';
+
+    // Orders a certificate for the identifiers, validating each with the
+    // first challenge offered, and resolves to the issued certificate's SANs
+    function issue(server, identifiers, csr) {
+      let body;
+      return putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', {identifiers: identifiers}))
+        .then(res => {
+          body = res.body;
+          return Promise.all(body.authorizations.map(url => {
+            return postJWS(server, url, {})
+              .then(authz => postJWS(server, authz.body.challenges[0].url, {}));
+          }));
+        })
+        .then(() => server.validations.drain())
+        .then(() => postJWS(server, body.finalize, {csr: csr}))
+        .then(res => postJWS(server, res.body.certificate, {}))
+        .then(res => new crypto.X509Certificate(leaf(res.text)).subjectAltName);
+    }
+
+    it('authorizes wildcard names only with dns-01', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let identifiers = [
+        {type: 'dns', value: '*.Not-Example.com'},
+        {type: 'dns', value: 'not-example.com'}
+      ];
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', {identifiers: identifiers}))
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.deepEqual(res.body.identifiers.map(x => x.value),
+                           ['*.not-example.com', 'not-example.com']);
+          assert.equal(res.body.authorizations.length, 2);
+          return Promise.all(res.body.authorizations.map(url => postJWS(server, url, {})));
+        })
+        .then(authzs => {
+          assert.deepEqual(authzs[0].body.identifier, {type: 'dns', value: 'not-example.com'});
+          assert.isTrue(authzs[0].body.wildcard);
+          assert.deepEqual(authzs[0].body.challenges.map(x => x.type), ['dns-01']);
+          assert.notProperty(authzs[1].body, 'wildcard');
+          assert.deepEqual(authzs[1].body.challenges.map(x => x.type), ['dns-01', 'auto']);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('issues for wildcard names', function(done) {
+      let server = new ACMEServer(issuerConfig);
+      let csr = testCA.buildCSR(['*.not-example.com'], keyPair);
+      issue(server, [{type: 'dns', value: '*.not-example.com'}], csr)
+        .then(san => {
+          assert.equal(san, 'DNS:*.not-example.com');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('issues for IP addresses', function(done) {
+      let server = new ACMEServer(Object.assign({}, issuerConfig, {challenges: {auto: true}}));
+      let identifiers = [
+        {type: 'ip', value: '192.0.2.1'},
+        {type: 'ip', value: '2001:DB8:0:0::1'}
+      ];
+      let csr = testCA.buildCSR(['192.0.2.1'], keyPair, {
+        altNames: [
+          {type: 7, value: '\xc0\x00\x02\x01'},
+          {type: 7, value: Buffer.from('20010db8000000000000000000000001', 'hex').toString('binary')}
+        ]
+      });
+      issue(server, identifiers, csr)
+        .then(san => {
+          assert.equal(san, 'IP Address:192.0.2.1, IP Address:2001:DB8:0:0:0:0:0:1');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('rejects identifiers with a subproblem for each', function(done) {
+      let server = new ACMEServer(serverConfig);
+      let identifiers = [
+        {type: 'email', value: 'anonymous@not-example.com'},
+        {type: 'dns', value: 'not-example.com'},
+        {type: 'dns', value: '*.not-example.com'}
+      ];
+      putRegistration(server)
+        .then(() => postJWS(server, server.baseURL + '/new-app', {identifiers: identifiers}))
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, unsupported);
+          assert.deepEqual(res.body.subproblems.map(x => x.type), [unsupported, unsupported]);
+          assert.deepEqual(res.body.subproblems.map(x => x.identifier),
+                           [identifiers[0], identifiers[2]]);
+          assert.match(res.body.subproblems[1].title, /No enabled challenge/);
+
+          identifiers[1] = {type: 'ip', value: '192.0.2.300'};
+          return postJWS(server, server.baseURL + '/new-app', {identifiers: identifiers});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:compound');
+          assert.deepEqual(res.body.subproblems.map(x => x.type), [
+            unsupported,
+            'urn:ietf:params:acme:error:malformed',
+            unsupported
+          ]);
+          assert.deepEqual(server.db.all('authz'), []);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('pre-authorizes IP addresses but not wildcards', function(done) {
+      let server = new ACMEServer(serverConfig);
+      let newAuthzURL = server.baseURL + '/new-authz';
+      putRegistration(server)
+        .then(() => postJWS(server, newAuthzURL, {identifier: {type: 'ip', value: '::1'}}))
+        .then(res => {
+          assert.equal(res.status, 201);
+          assert.deepEqual(res.body.identifier, {type: 'ip', value: '::1'});
+          let wildcard = {type: 'dns', value: '*.not-example.com'};
+          return postJWS(server, newAuthzURL, {identifier: wildcard});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, 'urn:ietf:params:acme:error:malformed');
+          let email = {type: 'email', value: 'anonymous@not-example.com'};
+          return postJWS(server, newAuthzURL, {identifier: email});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, unsupported);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('identifier policy', function() {
+    let policyConfig = Object.assign({
+      caKey:            testCA.caKey,
+      caCert:           testCA.caCert,
+      identifierPolicy: {deny: ['internal.not-example.com'], maxNames: 3}
+    }, serverConfig);
+    let rejected = 'urn:ietf:params:acme:error:rejectedIdentifier';
+    let server;
+
+    beforeEach(function(done) {
+      server = new ACMEServer(policyConfig);
+      putRegistration(server)
+        .then(() => done())
+        .catch(done);
+    });
+
+    it('rejects orders with a subproblem for each refused identifier', function(done) {
+      let identifiers = ['not-example.com', 'db.internal.not-example.com', 'co.uk']
+        .map(name => ({type: 'dns', value: name}));
+      postJWS(server, server.baseURL + '/new-app', {identifiers: identifiers})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, rejected);
+          assert.deepEqual(res.body.subproblems.map(x => x.identifier), identifiers.slice(1));
+          assert.match(res.body.subproblems[1].title, /public suffix/);
+          assert.deepEqual(server.db.all('authz'), []);
+
+          let more = [1, 2, 3, 4].map(i => ({type: 'dns', value: `www${i}.not-example.com`}));
+          return postJWS(server, server.baseURL + '/new-app', {identifiers: more});
+        })
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, rejected);
+          assert.match(res.body.description, /at most 3/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('refuses pre-authorizations', function(done) {
+      let denied = {type: 'dns', value: 'internal.not-example.com'};
+      postJWS(server, server.baseURL + '/new-authz', {identifier: denied})
+        .then(res => {
+          assert.equal(res.status, 400);
+          assert.equal(res.body.type, rejected);
+          assert.deepEqual(res.body.subproblems[0].identifier, denied);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('applies the current policy when finalizing', function(done) {
+      let names = ['not-example.com'];
+      let body;
+      postJWS(server, server.baseURL + '/new-app', {identifiers: [{type: 'dns', value: names[0]}]})
+        .then(res => {
+          body = res.body;
+          return postJWS(server, body.authorizations[0], {});
+        })
+        .then(res => postJWS(server, res.body.challenges[0].url, {}))
+        .then(() => server.validations.drain())
+        .then(() => {
+          server.identifierPolicy.load({deny: names});
+          return postJWS(server, body.finalize, {csr: testCA.makeCSR(names, testCA.rsaKeyPair())});
+        })
+        .then(res => {
+          assert.equal(res.status, 400, JSON.stringify(res.body));
+          assert.equal(res.body.type, rejected);
+          assert.deepEqual(res.body.subproblems.map(x => x.identifier.value), names);
+          done();
+        })
+        .catch(done);
+    });
+  });
 });
@@ -0,0 +1,123 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert             = require('chai').assert;
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const pki                = require('../lib/pki');
+const CertificateProfile = require('../lib/certificate-profile');
+const testCA             = require('./tools/test-ca');
+
+const asn1 = forge.asn1;
+const OIDS = CertificateProfile.OIDS;
+const NAMES = ['not-example.com', 'www.not-example.com'];
+const DAY = 24 * 3600 * 1000;
+
+const rsaKeyPair = testCA.rsaKeyPair();
+const ecKeyPair = testCA.ecKeyPair();
+
+function issue(csr, profile, notBefore, notAfter) {
+  let pem = pki.issueCRT(csr, notBefore, notAfter, testCA.caCert, testCA.caKey, profile);
+  return new crypto.X509Certificate(pem);
+}
+
+function extensions(cert) {
+  return pki.certificateInfo(cert.raw).extensions;
+}
+
+function decode(ext) {
+  return asn1.fromDer(ext.value.toString('binary'));
+}
+
+describe('certificate profile', function() {
+  it('sets an end-entity profile', function() {
+    let cert = issue(testCA.buildCSR(NAMES, rsaKeyPair), new CertificateProfile());
+    let exts = extensions(cert);
+
+    assert.isFalse(cert.ca);
+    assert.isTrue(exts[OIDS.basicConstraints].critical);
+    assert.deepEqual(decode(exts[OIDS.basicConstraints]).value, []);
+    assert.isTrue(exts[OIDS.keyUsage].critical);
+    assert.equal(decode(exts[OIDS.keyUsage]).value, '\x05\xa0');
+    assert.sameMembers(cert.keyUsage, ['1.3.6.1.5.5.7.3.1', '1.3.6.1.5.5.7.3.2']);
+    assert.property(exts, OIDS.subjectKeyIdentifier);
+    assert.property(exts, OIDS.certificatePolicies);
+    assert.isFalse(exts[OIDS.subjectAltName].critical);
+    assert.notProperty(exts, OIDS.authorityInfoAccess);
+    assert.notProperty(exts, OIDS.crlDistributionPoints);
+    assert.isTrue(cert.checkIssued(new crypto.X509Certificate(testCA.caCert)));
+  });
+
+  it('sets only digitalSignature for EC keys', function() {
+    let cert = issue(testCA.buildCSR(NAMES, ecKeyPair), new CertificateProfile());
+    assert.equal(decode(extensions(cert)[OIDS.keyUsage]).value, '\x07\x80');
+  });
+
+  it('identifies the CA key by its subjectKeyIdentifier', function() {
+    let cert = issue(testCA.buildCSR(NAMES, ecKeyPair), new CertificateProfile());
+    let ca = pki.certificateInfo(pki.pemToDER(testCA.caCert));
+    let aki = decode(extensions(cert)[OIDS.authorityKeyIdentifier]);
+    assert.equal(aki.value[0].value, decode(ca.extensions[OIDS.subjectKeyIdentifier]).value);
+  });
+
+  it('ignores extensions the CSR requests besides SAN', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      extensions: [{
+        id:    OIDS.basicConstraints,
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff')
+        ])
+      }]
+    });
+    let cert = issue(csr, new CertificateProfile());
+    assert.isFalse(cert.ca);
+    assert.equal(cert.subjectAltName, NAMES.map(x => `DNS:${x}`).join(', '));
+  });
+
+  it('makes SAN critical when the subject is empty', function() {
+    let cert = issue(testCA.buildCSR(NAMES, ecKeyPair, {subject: []}), new CertificateProfile());
+    assert.notOk(cert.subject);
+    assert.isTrue(extensions(cert)[OIDS.subjectAltName].critical);
+  });
+
+  it('sets the configured EKUs, policies and URLs', function() {
+    let profile = new CertificateProfile({
+      extendedKeyUsage: ['serverAuth'],
+      policies:         ['2.23.140.1.2.1', '1.3.6.1.4.1.44947.1.1.1'],
+      ocspURL:          'http://ocsp.not-example.com/',
+      issuerURL:        'http://ca.not-example.com/ca.crt',
+      crlURL:           'http://ca.not-example.com/ca.crl'
+    });
+    let cert = issue(testCA.buildCSR(NAMES, ecKeyPair), profile);
+    let exts = extensions(cert);
+
+    assert.deepEqual(cert.keyUsage, ['1.3.6.1.5.5.7.3.1']);
+    assert.equal(decode(exts[OIDS.certificatePolicies]).value.length, 2);
+    assert.equal(cert.infoAccess.trim(),
+                 'OCSP - URI:http://ocsp.not-example.com/\n' +
+                 'CA Issuers - URI:http://ca.not-example.com/ca.crt');
+
+    let point = decode(exts[OIDS.crlDistributionPoints]).value[0];
+    assert.equal(point.value[0].value[0].value[0].value, 'http://ca.not-example.com/ca.crl');
+  });
+
+  it('caps the validity period', function() {
+    let profile = new CertificateProfile({maxValiditySeconds: 90 * 24 * 3600});
+    let csr = testCA.buildCSR(NAMES, ecKeyPair);
+    let notBefore = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+    let cert = issue(csr, profile, notBefore, new Date(notBefore.getTime() + 365 * DAY));
+    assert.equal(new Date(cert.validTo).getTime(), notBefore.getTime() + 90 * DAY);
+
+    cert = issue(csr, profile, notBefore, new Date(notBefore.getTime() + 30 * DAY));
+    assert.equal(new Date(cert.validTo).getTime(), notBefore.getTime() + 30 * DAY);
+
+    cert = issue(csr, profile, notBefore.toISOString());
+    assert.equal(new Date(cert.validFrom).getTime(), notBefore.getTime());
+    assert.equal(new Date(cert.validTo).getTime(), notBefore.getTime() + 90 * DAY);
+  });
+});
@@ -0,0 +1,167 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert             = require('chai').assert;
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const pki                = require('../lib/pki');
+const CertificateProfile = require('../lib/certificate-profile');
+const CRLIssuer          = require('../lib/crl');
+const testCA             = require('./tools/test-ca');
+const testCRL            = require('./tools/test-crl');
+
+const asn1 = forge.asn1;
+const DAY = 24 * 3600 * 1000;
+const URL = 'http://127.0.0.1/crl';
+
+function crlNumber(parsed) {
+  let number = parsed.extensions[CRLIssuer.OIDS.crlNumber].value;
+  return parseInt(forge.util.bytesToHex(number.value), 16);
+}
+
+function revoked(serialNumber, reason) {
+  return {
+    serialNumber:     serialNumber,
+    status:           'revoked',
+    notAfter:         new Date(Date.now() + DAY),
+    revokedAt:        new Date(),
+    revocationReason: reason
+  };
+}
+
+describe('CRL issuer', function() {
+  let certificates;
+  beforeEach(function() {
+    certificates = [
+      revoked('4a00000000000001', 1),
+      revoked('4a00000000000002', 0),
+      revoked('4a00000000000003', 4),
+      {serialNumber: '4a00000000000004', status: 'valid'},
+      Object.assign(revoked('4a00000000000005', 1), {notAfter: new Date(Date.now() - DAY)})
+    ];
+  });
+
+  [
+    ['an RSA CA', {cert: testCA.caCert, key: testCA.caKey}],
+    ['an EC CA', {cert: testCA.ecCACert, key: testCA.ecCAKey}]
+  ].forEach(test => {
+    let ca = test[1];
+
+    it(`lists revoked certificates for ${test[0]}`, function() {
+      let crls = new CRLIssuer({
+        caCert:       ca.cert,
+        key:          ca.key,
+        certificates: () => certificates,
+        url:          URL
+      });
+      let parsed = testCRL.parse(crls.crl());
+
+      let caCert = new crypto.X509Certificate(ca.cert);
+      assert.isTrue(crypto.verify('sha256', parsed.tbs, caCert.publicKey, parsed.signature));
+      assert.equal(parsed.version, '\x01');
+      assert.equal(parsed.nextUpdate - parsed.thisUpdate, DAY);
+      assert.deepEqual(parsed.entries, [
+        {serialNumber: '4a00000000000001', reason: '\x01'},
+        {serialNumber: '4a00000000000002', reason: undefined},
+        {serialNumber: '4a00000000000003', reason: '\x04'}
+      ]);
+
+      let caInfo = pki.certificateInfo(pki.pemToDER(ca.cert));
+      let aki = parsed.extensions[CertificateProfile.OIDS.authorityKeyIdentifier];
+      assert.equal(aki.value.value[0].value, CertificateProfile.authorityKeyId(caInfo));
+      assert.notProperty(parsed.extensions, CRLIssuer.OIDS.issuingDistributionPoint);
+    });
+  });
+
+  it('omits the list when nothing is revoked', function() {
+    let crls = new CRLIssuer({
+      caCert:       testCA.caCert,
+      key:          testCA.caKey,
+      certificates: () => [],
+      url:          URL
+    });
+    assert.deepEqual(testCRL.parse(crls.crl()).entries, []);
+  });
+
+  it('serves the same CRL until updated', function() {
+    let crls = new CRLIssuer({
+      caCert:       testCA.caCert,
+      key:          testCA.caKey,
+      certificates: () => certificates,
+      url:          URL
+    });
+    let first = crls.crl();
+    certificates.push(revoked('4a00000000000006', 1));
+    assert.isTrue(crls.crl().equals(first));
+
+    crls.update();
+    let second = testCRL.parse(crls.crl());
+    assert.equal(second.entries.length, 4);
+    assert.isAbove(crlNumber(second), crlNumber(testCRL.parse(first)));
+  });
+
+  it('produces a new CRL when the current one is old enough', function() {
+    let crls = new CRLIssuer({
+      caCert:        testCA.caCert,
+      key:           testCA.caKey,
+      certificates:  () => certificates,
+      url:           URL,
+      updateSeconds: 60
+    });
+    let first = crls.crl();
+    crls.crls[0].thisUpdate = new Date(Date.now() - 60 * 1000);
+    assert.isFalse(crls.crl().equals(first));
+  });
+
+  it('partitions certificates among shards', function() {
+    let crls = new CRLIssuer({
+      caCert:       testCA.caCert,
+      key:          testCA.caKey,
+      certificates: () => certificates,
+      url:          URL,
+      shards:       2
+    });
+    assert.equal(crls.url('4a00000000000001'), `${URL}/1`);
+    assert.equal(crls.url('4a00000000000002'), `${URL}/0`);
+    assert.isNull(crls.crl(2));
+    assert.isNull(crls.crl(-1));
+    assert.isNull(crls.crl(NaN));
+
+    let even = testCRL.parse(crls.crl(0));
+    let odd = testCRL.parse(crls.crl(1));
+    assert.deepEqual(even.entries.map(x => x.serialNumber), ['4a00000000000002']);
+    assert.deepEqual(odd.entries.map(x => x.serialNumber),
+                     ['4a00000000000001', '4a00000000000003']);
+
+    let idp = odd.extensions[CRLIssuer.OIDS.issuingDistributionPoint];
+    assert.isTrue(idp.critical);
+    assert.equal(idp.value.value[0].value[0].value[0].value, `${URL}/1`);
+    assert.equal(idp.value.value[1].value, '\xff');
+  });
+});
+
+describe('CRL distribution points', function() {
+  it('come from a function of the serial number', function() {
+    let crls = new CRLIssuer({
+      caCert:       testCA.caCert,
+      key:          testCA.caKey,
+      certificates: () => [],
+      url:          URL,
+      shards:       4
+    });
+    let profile = new CertificateProfile({crlURL: serialNumber => crls.url(serialNumber)});
+    let csr = testCA.buildCSR(['not-example.com'], testCA.ecKeyPair());
+    let pem = pki.issueCRT(csr, null, null, testCA.caCert, testCA.caKey, profile);
+    let info = pki.certificateInfo(pki.pemToDER(pem));
+
+    let ext = info.extensions[CertificateProfile.OIDS.crlDistributionPoints];
+    let point = asn1.fromDer(ext.value.toString('binary')).value[0];
+    assert.equal(point.value[0].value[0].value[0].value, crls.url(info.serialNumber));
+    assert.match(crls.url(info.serialNumber), /\/crl\/[0-3]$/);
+  });
+});
+
@@ -0,0 +1,135 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert        = require('chai').assert;
+const crypto        = require('crypto');
+const dns           = require('native-dns');
+const nodeJose      = require('node-jose');
+const DNSValidation = require('../lib/dns-validation');
+const validate      = require('./tools/validate');
+
+const PORT = 5053;
+const RESOLVER = {address: '127.0.0.1', port: PORT};
+const THUMBPRINT = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+// Answers TXT queries from a map of name -> [values]
+function standIn(records) {
+  let server = dns.createServer();
+  let queries = [];
+  server.on('request', (req, res) => {
+    let name = req.question[0].name;
+    queries.push(name);
+    if (!records[name]) {
+      res.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
+    } else {
+      records[name].forEach(value => {
+        res.answer.push(dns.TXT({name: name, data: [value], ttl: 1}));
+      });
+    }
+    res.send();
+  });
+  server.queries = queries;
+  return new Promise(resolve => {
+    server.on('listening', () => resolve(server));
+    server.serve(PORT, RESOLVER.address);
+  });
+}
+
+function digest(keyAuthorization) {
+  let hash = crypto.createHash('sha256').update(keyAuthorization).digest();
+  return nodeJose.util.base64url.encode(hash);
+}
+
+describe('dns-01 validation', function() {
+  it('publishes a token', function() {
+    let validation = new DNSValidation('not-example.com', THUMBPRINT);
+    let obj = validation.toJSON();
+
+    assert.equal(obj.type, 'dns-01');
+    assert.equal(obj.status, 'pending');
+    assert.match(obj.token, /^[A-Za-z0-9_-]{43}$/);
+    assert.equal(validation.recordName(), '_acme-challenge.not-example.com');
+  });
+
+  it('queries the base domain for a wildcard name', function() {
+    let validation = new DNSValidation('*.not-example.com', THUMBPRINT);
+    assert.equal(validation.recordName(), '_acme-challenge.not-example.com');
+  });
+
+  it('validates a matching TXT record', function(done) {
+    let validation = new DNSValidation('not-example.com', THUMBPRINT, {server: RESOLVER});
+    let server;
+
+    standIn({
+      '_acme-challenge.not-example.com': ['unrelated', digest(validation.keyAuthorization)]
+    })
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.deepEqual(server.queries, ['_acme-challenge.not-example.com']);
+      assert.equal(validation.status, 'valid');
+      assert.notProperty(validation.toJSON(), 'error');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects a mismatched TXT record', function(done) {
+    let validation = new DNSValidation('not-example.com', THUMBPRINT, {server: RESOLVER});
+    let server;
+
+    standIn({'_acme-challenge.not-example.com': [digest('wrong')]})
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type,
+                   'urn:ietf:params:acme:error:incorrectResponse');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails on a missing record', function(done) {
+    let validation = new DNSValidation('not-example.com', THUMBPRINT, {server: RESOLVER});
+    let server;
+
+    standIn({})
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type, 'urn:ietf:params:acme:error:dns');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails when the resolver does not answer', function(done) {
+    let validation = new DNSValidation('not-example.com', THUMBPRINT, {
+      server:  RESOLVER,
+      timeout: 200
+    });
+
+    validate(validation)
+      .then(() => {
+        assert.equal(validation.status, 'invalid');
+        assert.equal(validation.toJSON().error.type, 'urn:ietf:params:acme:error:dns');
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,54 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert        = require('chai').assert;
+const fs            = require('fs');
+const temp          = require('temp').track();
+const FileStorage   = require('../lib/file-storage');
+const MemoryStorage = require('../lib/memory-storage');
+
+class Thing {
+  constructor(id, value) {
+    this.id = id;
+    this.value = value;
+  }
+
+  toJSON() {
+    return {id: this.id, value: this.value};
+  }
+}
+
+describe('storage', function() {
+  it('keeps copies of objects in memory', function() {
+    let storage = new MemoryStorage();
+    let thing = new Thing('a', 1);
+    storage.save('thing', thing.id, thing);
+    thing.value = 2;
+
+    assert.deepEqual(storage.load(), {thing: {a: {id: 'a', value: 1}}});
+  });
+
+  it('keeps objects in a file across instances', function() {
+    let path = temp.path({suffix: '.json'});
+    let storage = new FileStorage(path);
+    assert.deepEqual(storage.load(), {});
+
+    storage.save('thing', 'a', new Thing('a', 1));
+    storage.save('thing', 'b', new Thing('b', 2));
+    storage.save('thing', 'a', new Thing('a', 3));
+    assert.isTrue(fs.existsSync(path));
+    assert.isFalse(fs.existsSync(path + '.tmp'));
+
+    let reopened = new FileStorage(path);
+    assert.deepEqual(reopened.load(), {
+      thing: {
+        a: {id: 'a', value: 3},
+        b: {id: 'b', value: 2}
+      }
+    });
+  });
+});
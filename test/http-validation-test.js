@@ -0,0 +1,164 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert         = require('chai').assert;
+const http           = require('http');
+const HTTPValidation = require('../lib/http-validation');
+const validate       = require('./tools/validate');
+
+const PORT = 5002;
+const NAME = 'not-example.com';
+const THUMBPRINT = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+function standIn(handler) {
+  let server = http.createServer(handler);
+  return new Promise(resolve => {
+    server.listen(PORT, () => resolve(server));
+  });
+}
+
+describe('http-01 validation', function() {
+  it('publishes a token and key authorization', function() {
+    let validation = new HTTPValidation(NAME, THUMBPRINT);
+    let obj = validation.toJSON();
+
+    assert.equal(obj.type, 'http-01');
+    assert.equal(obj.status, 'pending');
+    assert.match(obj.token, /^[A-Za-z0-9_-]{43}$/);
+    assert.notProperty(obj, 'keyAuthorization');
+    assert.equal(validation.keyAuthorization.split('.')[0], obj.token);
+    assert.equal(validation.keyAuthorization.split('.')[1],
+                 'ASNFZ4mrze8BI0VniavN7wEjRWeJq83vASNFZ4mrze8');
+  });
+
+  it('brackets IPv6 addresses', function(done) {
+    let validation = new HTTPValidation('2001:db8::1', THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+    let requested;
+    let server;
+
+    assert.equal(validation.url(),
+                 `http://[2001:db8::1]:${PORT}/.well-known/acme-challenge/${validation.token}`);
+    standIn((req, res) => {
+      requested = req;
+      res.end(validation.keyAuthorization);
+    })
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(requested.headers.host, '[2001:db8::1]');
+      assert.equal(validation.status, 'valid');
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('validates a correct response', function(done) {
+    let validation = new HTTPValidation(NAME, THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+    let requested;
+    let server;
+
+    standIn((req, res) => {
+      requested = req;
+      res.end(validation.keyAuthorization + '\n');
+    })
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(requested.url, '/.well-known/acme-challenge/' + validation.token);
+      assert.equal(requested.headers.host, NAME);
+      assert.equal(validation.status, 'valid');
+      assert.property(validation.toJSON(), 'validated');
+      assert.notProperty(validation.toJSON(), 'error');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects an incorrect response', function(done) {
+    let validation = new HTTPValidation(NAME, THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+    let server;
+
+    standIn((req, res) => res.end('not-the-key-authorization'))
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type,
+                   'urn:ietf:params:acme:error:incorrectResponse');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects an error status', function(done) {
+    let validation = new HTTPValidation(NAME, THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+    let server;
+
+    standIn((req, res) => {
+      res.statusCode = 404;
+      res.end(validation.keyAuthorization);
+    })
+    .then(s => { server = s; })
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type,
+                   'urn:ietf:params:acme:error:unauthorized');
+    })
+    .then(() => {
+      server.close();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails when the server is unreachable', function(done) {
+    let validation = new HTTPValidation(NAME, THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+
+    validate(validation)
+      .then(() => {
+        assert.equal(validation.status, 'invalid');
+        assert.equal(validation.toJSON().error.type,
+                     'urn:ietf:params:acme:error:connection');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('does not re-validate a finished challenge', function() {
+    let validation = new HTTPValidation(NAME, THUMBPRINT, {
+      host: '127.0.0.1',
+      port: PORT
+    });
+
+    validation.status = 'valid';
+    assert.isFalse(validation.start({}));
+    assert.equal(validation.status, 'valid');
+  });
+});
@@ -0,0 +1,128 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert           = require('chai').assert;
+const fs               = require('fs');
+const temp             = require('temp').track();
+const IdentifierPolicy = require('../lib/identifier-policy');
+
+function dns(value) {
+  return {type: 'dns', value: value};
+}
+
+function ip(value) {
+  return {type: 'ip', value: value};
+}
+
+describe('identifier policy', function() {
+  it('allows any identifier by default except public suffixes', function() {
+    let policy = new IdentifierPolicy();
+    assert.isNull(policy.refuse(dns('not-example.com')));
+    assert.isNull(policy.refuse(dns('*.not-example.com')));
+    assert.isNull(policy.refuse(dns('not-example.internal')));
+    assert.isNull(policy.refuse(ip('192.0.2.1')));
+    assert.match(policy.refuse(dns('co.uk')), /public suffix/);
+    assert.match(policy.refuse(dns('*.co.uk')), /co\.uk is a public suffix/);
+    assert.match(policy.refuse(dns('github.io')), /public suffix/);
+    assert.isNull(policy.refuse(dns('not-example.github.io')));
+
+    policy = new IdentifierPolicy({publicSuffixes: true});
+    assert.isNull(policy.refuse(dns('co.uk')));
+  });
+
+  it('allows only identifiers in the allowlist', function() {
+    let policy = new IdentifierPolicy({allow: ['Not-Example.com', '192.0.2.0/24', '2001:db8::1']});
+    assert.isNull(policy.refuse(dns('not-example.com')));
+    assert.isNull(policy.refuse(dns('www.not-example.com')));
+    assert.isNull(policy.refuse(dns('*.not-example.com')));
+    assert.isNull(policy.refuse(ip('192.0.2.77')));
+    assert.isNull(policy.refuse(ip('2001:db8::1')));
+    assert.match(policy.refuse(dns('other-not-example.com')), /does not allow/);
+    assert.match(policy.refuse(dns('com.not-example.net')), /does not allow/);
+    assert.match(policy.refuse(ip('198.51.100.1')), /does not allow/);
+    assert.match(policy.refuse(ip('2001:db8::2')), /does not allow/);
+  });
+
+  it('refuses names and patterns in the denylist', function() {
+    let policy = new IdentifierPolicy({
+      deny:         ['internal.not-example.com', '192.0.2.1'],
+      denyPatterns: ['^test-', /paypal/]
+    });
+    assert.isNull(policy.refuse(dns('www.not-example.com')));
+    assert.match(policy.refuse(dns('internal.not-example.com')), /forbids/);
+    assert.match(policy.refuse(dns('db.internal.not-example.com')), /forbids/);
+    assert.match(policy.refuse(dns('*.internal.not-example.com')), /forbids/);
+    assert.match(policy.refuse(ip('192.0.2.1')), /forbids/);
+    assert.isNull(policy.refuse(ip('192.0.2.2')));
+    assert.match(policy.refuse(dns('test-1.not-example.com')), /names like/);
+    assert.match(policy.refuse(dns('paypal-login.not-example.com')), /names like/);
+  });
+
+  it('limits the identifiers in an order', function() {
+    let policy = new IdentifierPolicy({maxNames: 2});
+    let names = ['www1.not-example.com', 'www2.not-example.com', 'www3.not-example.com'].map(dns);
+    assert.isNull(policy.refuseOrder(names.slice(0, 2)));
+    assert.match(policy.refuseOrder(names), /at most 2/);
+  });
+
+  it('rejects invalid rules', function() {
+    assert.throws(() => new IdentifierPolicy({allow: ['not example']}), /Invalid policy entry/);
+    assert.throws(() => new IdentifierPolicy({deny: ['192.0.2.0/x']}), /Invalid policy entry/);
+    assert.throws(() => new IdentifierPolicy({denyPatterns: ['(']}));
+    assert.throws(() => new IdentifierPolicy({maxNames: 0}), /maxNames/);
+  });
+
+  describe('from a file', function() {
+    let file;
+    let policy;
+
+    beforeEach(function() {
+      file = temp.path({suffix: '.json'});
+      fs.writeFileSync(file, JSON.stringify({deny: ['not-example.com']}));
+    });
+
+    afterEach(function() {
+      if (policy) {
+        policy.close();
+      }
+    });
+
+    it('reloads when the file changes', function(done) {
+      policy = new IdentifierPolicy({file: file, reloadInterval: 10});
+      assert.isNotNull(policy.refuse(dns('not-example.com')));
+
+      // Change the file only once the watcher has seen it as it was
+      setTimeout(() => fs.writeFileSync(file, JSON.stringify({maxNames: 1})), 50);
+      let check = setInterval(() => {
+        if (policy.maxNames === 1) {
+          clearInterval(check);
+          assert.isNull(policy.refuse(dns('not-example.com')));
+          done();
+        }
+      }, 10);
+    });
+
+    it('keeps its rules when the file is invalid', function() {
+      policy = new IdentifierPolicy({file: file});
+      fs.writeFileSync(file, '{"deny": ');
+      policy.reload();
+      assert.instanceOf(policy.error, SyntaxError);
+      assert.isNotNull(policy.refuse(dns('not-example.com')));
+
+      fs.writeFileSync(file, JSON.stringify({deny: []}));
+      policy.reload();
+      assert.isNull(policy.error);
+      assert.isNull(policy.refuse(dns('not-example.com')));
+    });
+
+    it('requires the file to be valid to start with', function() {
+      policy = null;
+      fs.writeFileSync(file, JSON.stringify({allow: [1]}));
+      assert.throws(() => new IdentifierPolicy({file: file}), /Invalid policy entry/);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert     = require('chai').assert;
+const identifier = require('../lib/identifier');
+
+function failure(id) {
+  try {
+    identifier.check(id);
+  } catch (e) {
+    return e.type;
+  }
+  return null;
+}
+
+describe('identifiers', function() {
+  it('canonicalizes DNS names and IP addresses', function() {
+    [
+      [{type: 'dns', value: 'Not-Example.COM'}, 'not-example.com'],
+      [{type: 'dns', value: '*.not-example.com'}, '*.not-example.com'],
+      [{type: 'dns', value: 'A.not-example.com'}, 'a.not-example.com'],
+      [{type: 'dns', value: '*.1.not-example.com'}, '*.1.not-example.com'],
+      [{type: 'dns', value: 'www.a.io'}, 'www.a.io'],
+      [{type: 'ip', value: '192.0.2.1'}, '192.0.2.1'],
+      [{type: 'ip', value: '2001:DB8:0:0:0:0:0:1'}, '2001:db8::1'],
+      [{type: 'ip', value: '2001:db8:0:0:1:0:0:1'}, '2001:db8::1:0:0:1'],
+      [{type: 'ip', value: '::ffff:192.0.2.1'}, '::ffff:c000:201'],
+      [{type: 'ip', value: '2001:db8:0:1:1:1:1:1'}, '2001:db8:0:1:1:1:1:1']
+    ].forEach(test => {
+      assert.deepEqual(identifier.check(test[0]), {type: test[0].type, value: test[1]});
+    });
+  });
+
+  it('rejects malformed and unsupported identifiers', function() {
+    assert.equal(failure(null), 'malformed');
+    assert.equal(failure({type: 'dns'}), 'malformed');
+    assert.equal(failure({type: 'dns', value: 'not_example.com'}), 'malformed');
+    assert.equal(failure({type: 'dns', value: 'www.*.not-example.com'}), 'malformed');
+    assert.equal(failure({type: 'dns', value: '-a.not-example.com'}), 'malformed');
+    assert.equal(failure({type: 'dns', value: 'a-.not-example.com'}), 'malformed');
+    assert.equal(failure({type: 'ip', value: '192.0.2.300'}), 'malformed');
+    assert.equal(failure({type: 'ip', value: 'fe80::1%eth0'}), 'malformed');
+    assert.equal(failure({type: 'email', value: 'anonymous@not-example.com'}),
+                 'unsupportedIdentifier');
+  });
+
+  it('maps IP addresses to reverse names', function() {
+    assert.equal(identifier.reverseName('192.0.2.1'), '1.2.0.192.in-addr.arpa');
+    assert.match(identifier.reverseName('2001:db8::1'), /^1\.0\.0\.0\..*\.8\.b\.d\.0\.1\.0\.0\.2\.ip6\.arpa$/);
+  });
+});
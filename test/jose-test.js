@@ -90,4 +90,138 @@ describe('jose', function() {
       done();
     });
   });
+
+  it('signs with a kid instead of a jwk', function(done) {
+    let header = {nonce: 2, url: 'asdf', kid: 'https://example.com/reg/1'};
+    let key;
+
+    jose.newkey()
+    .then(k => {
+      key = k;
+      return jose.sign(k, {}, header);
+    })
+    .then(jws => {
+      let signed = JSON.parse(nodeJose.util.base64url.decode(jws.protected).toString());
+      assert.equal(signed.kid, header.kid);
+      assert.notProperty(signed, 'jwk');
+      return jose.verify(jws, kid => {
+        assert.equal(kid, header.kid);
+        return key;
+      });
+    })
+    .then(result => {
+      assert.deepEqual(result.payload, {});
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects a JWS with both a kid and a jwk', function(done) {
+    jose.newkey()
+    .then(k => {
+      let opts = {
+        format: 'flattened',
+        fields: {nonce: 2, url: 'asdf', kid: 'https://example.com/reg/1', jwk: k.toJSON()}
+      };
+      return nodeJose.JWS.createSign(opts, {key: k, reference: false})
+        .update('{}')
+        .final();
+    })
+    .then(jws => jose.verify(jws, () => { throw new Error('Should not look up the kid'); }))
+    .then(() => done(new Error('Verified a JWS with both a kid and a jwk')))
+    .catch(err => {
+      assert.match(err.message, /both kid and jwk/);
+      done();
+    });
+  });
+
+  it('signs and verifies an external account binding', function(done) {
+    let macKey = nodeJose.util.base64url.encode(Buffer.alloc(32, 1));
+    let url = 'https://example.com/new-acct';
+    let key;
+
+    jose.newkey()
+    .then(k => {
+      key = k;
+      return jose.signMAC('tenant-1', macKey, k.toJSON(), url);
+    })
+    .then(jws => jose.verifyMAC(jws, {url: url}, kid => {
+      assert.equal(kid, 'tenant-1');
+      return macKey;
+    }))
+    .then(result => {
+      assert.equal(result.header.alg, 'HS256');
+      assert.deepEqual(result.payload, key.toJSON());
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects an external account binding with the wrong MAC key', function(done) {
+    let macKey = nodeJose.util.base64url.encode(Buffer.alloc(32, 1));
+    let wrongKey = nodeJose.util.base64url.encode(Buffer.alloc(32, 2));
+    let url = 'https://example.com/new-acct';
+
+    jose.signMAC('tenant-1', wrongKey, {}, url)
+    .then(jws => jose.verifyMAC(jws, {url: url}, () => macKey))
+    .then(() => done(new Error('Verified a binding with the wrong MAC key')))
+    .catch(err => {
+      assert.match(err.message, /does not verify/);
+      return jose.signMAC('tenant-1', macKey, {}, url + '/other');
+    })
+    .then(jws => jose.verifyMAC(jws, {url: url}, () => macKey))
+    .then(() => done(new Error('Verified a binding for another url')))
+    .catch(err => {
+      assert.match(err.message, /url/);
+      done();
+    });
+  });
+
+  it('signs and verifies a nested JWS', function(done) {
+    let outer = {'nonce': '2', 'url': 'https://example.com/key-change'};
+    let content = {'foo': 'bar'};
+    let key;
+
+    jose.newkey()
+    .then(k => {
+      key = k;
+      return jose.signInner(k, content, outer.url);
+    })
+    .then(jws => {
+      let header = JSON.parse(nodeJose.util.base64url.decode(jws.protected).toString());
+      assert.notProperty(header, 'nonce');
+      assert.notProperty(header, 'kid');
+      assert.deepEqual(header.jwk, key.toJSON());
+      return jose.verifyInner(jws, outer);
+    })
+    .then(result => {
+      assert.deepEqual(result.payload, content);
+      assert.deepEqual(result.key.toJSON(), key.toJSON());
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects a nested JWS for a different url', function(done) {
+    jose.newkey()
+    .then(k => jose.signInner(k, {}, 'https://example.com/other'))
+    .then(jws => jose.verifyInner(jws, {'url': 'https://example.com/key-change'}))
+    .then(() => { done(new Error('should have failed')); })
+    .catch(err => {
+      assert.match(err.message, /url/);
+      done();
+    });
+  });
+
+  it('rejects a nested JWS with a nonce', function(done) {
+    let header = {'nonce': '2', 'url': 'https://example.com/key-change'};
+    jose.newkey()
+    .then(k => jose.sign(k, {}, header))
+    .then(jws => jose.verifyInner(jws, header))
+    .then(() => { done(new Error('should have failed')); })
+    .catch(err => {
+      assert.match(err.message, /nonce/);
+      done();
+    });
+  });
 });
@@ -0,0 +1,124 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert             = require('chai').assert;
+const crypto             = require('crypto');
+const forge              = require('node-forge');
+const pki                = require('../lib/pki');
+const CertificateProfile = require('../lib/certificate-profile');
+const OCSPResponder      = require('../lib/ocsp');
+const testCA             = require('./tools/test-ca');
+const testOCSP           = require('./tools/test-ocsp');
+
+const asn1 = forge.asn1;
+const NAMES = ['not-example.com'];
+
+const keyPair = testCA.ecKeyPair();
+
+function issue(caCert, caKey, profile) {
+  let csr = testCA.buildCSR(NAMES, keyPair);
+  return pki.issueCRT(csr, null, null, caCert, caKey, profile || new CertificateProfile());
+}
+
+function serialNumber(pem) {
+  return pki.certificateInfo(pki.pemToDER(pem)).serialNumber;
+}
+
+function query(responder, caCert, serialNumbers, nonce) {
+  return testOCSP.parseResponse(responder.respond(testOCSP.request(caCert, serialNumbers, nonce)));
+}
+
+function assertSigned(parsed, pem) {
+  let key = new crypto.X509Certificate(pem).publicKey;
+  assert.isTrue(crypto.verify('sha256', parsed.tbs, key, parsed.signature));
+}
+
+describe('OCSP responder', function() {
+  [
+    ['an RSA CA', {cert: testCA.caCert, key: testCA.caKey}],
+    ['an EC CA', {cert: testCA.ecCACert, key: testCA.ecCAKey}]
+  ].forEach(test => {
+    let ca = test[1];
+
+    it(`answers for certificates from ${test[0]}`, function() {
+      let good = serialNumber(issue(ca.cert, ca.key));
+      let revoked = serialNumber(issue(ca.cert, ca.key));
+      let records = {};
+      records[good] = {status: 'valid'};
+      records[revoked] = {status: 'revoked', revokedAt: new Date(), revocationReason: 1};
+
+      let responder = new OCSPResponder({
+        caCert: ca.cert,
+        key:    ca.key,
+        lookup: serial => records[serial]
+      });
+      let parsed = query(responder, ca.cert, [good, revoked, '4f00']);
+
+      assert.equal(parsed.status, 0);
+      assertSigned(parsed, ca.cert);
+      assert.deepEqual(parsed.statuses.map(x => x.type), [0, 1, 2]);
+      assert.equal(parsed.statuses[1].value[1].value[0].value, '\x01');
+      assert.notOk(parsed.certs);
+      assert.equal(parsed.responderID, testOCSP.keyHash(ca.cert));
+    });
+  });
+
+  it('echoes the nonce', function() {
+    let responder = new OCSPResponder({
+      caCert: testCA.caCert,
+      key:    testCA.caKey,
+      lookup: () => null
+    });
+    let parsed = query(responder, testCA.caCert, ['4f00'], 'nonce');
+    assert.equal(parsed.status, 0);
+    assert.equal(parsed.extensions.length, 1);
+    assert.equal(asn1.derToOid(parsed.extensions[0].value[0].value), testOCSP.OID_NONCE);
+  });
+
+  it('signs with a delegated responder certificate', function() {
+    let signerKeyPair = testCA.ecKeyPair();
+    let csr = testCA.buildCSR(['ocsp.not-example.com'], signerKeyPair);
+    let profile = new CertificateProfile({extendedKeyUsage: ['1.3.6.1.5.5.7.3.9']});
+    let signerCert = pki.issueCRT(csr, null, null, testCA.caCert, testCA.caKey, profile);
+
+    let responder = new OCSPResponder({
+      caCert: testCA.caCert,
+      key:    signerKeyPair.privateKey,
+      cert:   signerCert,
+      lookup: () => ({status: 'valid'})
+    });
+    let parsed = query(responder, testCA.caCert, ['4f00']);
+
+    assert.equal(parsed.status, 0);
+    assertSigned(parsed, signerCert);
+    assert.equal(parsed.certs.length, 1);
+    assert.deepEqual(Buffer.from(asn1.toDer(parsed.certs[0]).getBytes(), 'binary'),
+                     pki.pemToDER(signerCert));
+  });
+
+  it('refuses to answer for other CAs', function() {
+    let responder = new OCSPResponder({
+      caCert: testCA.caCert,
+      key:    testCA.caKey,
+      lookup: () => ({status: 'valid'})
+    });
+    let parsed = query(responder, testCA.ecCACert, ['4f00']);
+    assert.equal(parsed.status, 6);
+  });
+
+  it('reports malformed requests', function() {
+    let responder = new OCSPResponder({
+      caCert: testCA.caCert,
+      key:    testCA.caKey,
+      lookup: () => null
+    });
+    [Buffer.from('not OCSP'), Buffer.alloc(0)].forEach(der => {
+      assert.equal(testOCSP.parseResponse(responder.respond(der)).status, 1);
+    });
+  });
+});
+
@@ -0,0 +1,284 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert = require('chai').assert;
+const crypto = require('crypto');
+const forge  = require('node-forge');
+const pki    = require('../lib/pki');
+const testCA = require('./tools/test-ca');
+
+const asn1 = forge.asn1;
+const NAMES = ['not-example.com', 'www.not-example.com'];
+const KEY_USAGE = {
+  id:    '2.5.29.15',
+  value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x05\xa0')
+};
+
+const rsaKeyPair = testCA.rsaKeyPair();
+const ecKeyPair = testCA.ecKeyPair();
+
+function assertError(checked, pattern) {
+  assert.notProperty(checked, 'names');
+  assert.match(checked.error, pattern);
+}
+
+describe('CSR checking', function() {
+  it('accepts a CSR made by forge', function() {
+    let checked = pki.checkCSR(testCA.makeCSR(NAMES, rsaKeyPair));
+    assert.notProperty(checked, 'error');
+    assert.sameMembers(checked.names, NAMES);
+  });
+
+  it('accepts RSA and EC keys', function() {
+    [rsaKeyPair, ecKeyPair, testCA.ecKeyPair('secp384r1')].forEach(keyPair => {
+      let checked = pki.checkCSR(testCA.buildCSR(NAMES, keyPair));
+      assert.notProperty(checked, 'error');
+      assert.sameMembers(checked.names, NAMES);
+    });
+  });
+
+  it('lowercases and deduplicates names', function() {
+    let csr = testCA.buildCSR(['Not-Example.com', 'not-example.COM'], ecKeyPair);
+    assert.deepEqual(pki.checkCSR(csr).names, ['not-example.com']);
+  });
+
+  it('accepts names with single-character labels', function() {
+    let csr = testCA.buildCSR(['a.not-example.com', 'www.1.not-example.com'], ecKeyPair);
+    assert.deepEqual(pki.checkCSR(csr).names, ['a.not-example.com', 'www.1.not-example.com']);
+  });
+
+  it('rejects a small RSA key', function() {
+    let csr = testCA.buildCSR(NAMES, testCA.rsaKeyPair(1024));
+    assertError(pki.checkCSR(csr), /at least 2048 bits/);
+  });
+
+  it('rejects other curves', function() {
+    let csr = testCA.buildCSR(NAMES, testCA.ecKeyPair('secp521r1'));
+    assertError(pki.checkCSR(csr), /Curve secp521r1 is not allowed/);
+  });
+
+  it('rejects a bad signature', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {tamper: true});
+    assertError(pki.checkCSR(csr), /signature does not verify/);
+  });
+
+  it('rejects subject attributes besides commonName', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      subject: [['2.5.4.3', NAMES[0]], ['2.5.4.10', 'Not Example Inc.']]
+    });
+    assertError(pki.checkCSR(csr), /only commonName/);
+  });
+
+  it('rejects multiple commonNames', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      subject: NAMES.map(name => ['2.5.4.3', name])
+    });
+    assertError(pki.checkCSR(csr), /multiple commonName/);
+  });
+
+  it('rejects attributes besides extensionRequest', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      attributes: [{
+        id:    '1.2.840.113549.1.9.7',
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, 'hunter2')
+      }]
+    });
+    assertError(pki.checkCSR(csr), /No attributes besides extensionRequest/);
+  });
+
+  it('rejects extensions the policy does not allow', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {extensions: [KEY_USAGE]});
+    assertError(pki.checkCSR(csr), /Forbidden extension type 2.5.29.15/);
+    assertError(pki.checkCSR(csr, {allowedExtensions: ['extKeyUsage']}), /Forbidden/);
+    assert.sameMembers(pki.checkCSR(csr, {allowedExtensions: ['keyUsage']}).names, NAMES);
+    assert.sameMembers(pki.checkCSR(csr, {allowedExtensions: ['2.5.29.15']}).names, NAMES);
+  });
+
+  it('rejects SANs besides dNSNames and iPAddresses', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      altNames: [{type: 2, value: NAMES[0]}, {type: 1, value: 'admin@not-example.com'}]
+    });
+    assertError(pki.checkCSR(csr), /neither a dNSName nor an iPAddress/);
+  });
+
+  it('accepts wildcard names and IP addresses', function() {
+    let csr = testCA.buildCSR(['*.not-example.com'], ecKeyPair, {
+      altNames: [
+        {type: 2, value: '*.Not-Example.com'},
+        {type: 7, value: '\xc0\x00\x02\x01'},
+        {type: 7, value: Buffer.from('20010db8000000000000000000000001', 'hex').toString('binary')}
+      ]
+    });
+    assert.deepEqual(pki.checkCSR(csr).identifiers, [
+      {type: 'dns', value: '*.not-example.com'},
+      {type: 'ip', value: '192.0.2.1'},
+      {type: 'ip', value: '2001:db8::1'}
+    ]);
+  });
+
+  it('accepts an IP address as the commonName', function() {
+    let csr = testCA.buildCSR(['192.0.2.1'], ecKeyPair, {
+      altNames: [{type: 7, value: '\xc0\x00\x02\x01'}]
+    });
+    assert.deepEqual(pki.checkCSR(csr).identifiers, [{type: 'ip', value: '192.0.2.1'}]);
+  });
+
+  it('rejects malformed iPAddresses and wildcards', function() {
+    let csr = testCA.buildCSR(NAMES, ecKeyPair, {
+      altNames: [{type: 7, value: '\xc0\x00\x02'}]
+    });
+    assertError(pki.checkCSR(csr), /iPAddress SAN is not an IP address/);
+
+    csr = testCA.buildCSR(['*.*.not-example.com'], ecKeyPair, {subject: []});
+    assertError(pki.checkCSR(csr), /not a DNS name/);
+  });
+
+  it('rejects names that are not DNS names', function() {
+    let csr = testCA.buildCSR(['not_example'], ecKeyPair, {subject: []});
+    assertError(pki.checkCSR(csr), /not a DNS name/);
+  });
+
+  it('rejects a CSR without names', function() {
+    let csr = testCA.buildCSR([], ecKeyPair, {subject: []});
+    assertError(pki.checkCSR(csr), /No names/);
+  });
+
+  it('rejects a commonName that is not one of the SANs', function() {
+    let csr = testCA.buildCSR(['aa.not-example.com'], ecKeyPair, {
+      altNames: [{type: 2, value: 'bb.not-example.com'}]
+    });
+    assertError(pki.checkCSR(csr), /commonName is not one of the SANs/);
+
+    csr = testCA.buildCSR(['Not-Example.com'], ecKeyPair, {
+      altNames: [{type: 2, value: 'not-example.com'}]
+    });
+    assert.deepEqual(pki.checkCSR(csr).names, ['not-example.com']);
+
+    csr = testCA.buildCSR(['not-example.com'], ecKeyPair, {altNames: []});
+    assertError(pki.checkCSR(csr), /No names/);
+  });
+
+  it('rejects garbage', function() {
+    assertError(pki.checkCSR('bm90IGEgQ1NS'), /Malformed CSR/);
+  });
+
+  it('returns the first error', function() {
+    let csr = testCA.buildCSR(NAMES, testCA.rsaKeyPair(1024), {
+      tamper:     true,
+      extensions: [KEY_USAGE]
+    });
+    assertError(pki.checkCSR(csr), /at least 2048 bits/);
+  });
+});
+
+describe('certificate issuance', function() {
+  const notBefore = new Date();
+  const notAfter = new Date(Date.now() + 90 * 24 * 3600 * 1000);
+
+  function issue(csr, ca) {
+    let pem = pki.issueCRT(csr, notBefore, notAfter, ca.cert, ca.key);
+    return new crypto.X509Certificate(pem);
+  }
+
+  [
+    ['an RSA CA', {cert: testCA.caCert, key: testCA.caKey}],
+    ['an EC CA', {cert: testCA.ecCACert, key: testCA.ecCAKey}]
+  ].forEach(test => {
+    let ca = test[1];
+    let caCert = new crypto.X509Certificate(ca.cert);
+
+    [
+      ['RSA', rsaKeyPair],
+      ['P-256', ecKeyPair],
+      ['P-384', testCA.ecKeyPair('secp384r1')]
+    ].forEach(keyTest => {
+      let keyPair = keyTest[1];
+
+      it(`issues for ${keyTest[0]} keys from ${test[0]}`, function() {
+        let cert = issue(testCA.buildCSR(NAMES, keyPair), ca);
+
+        assert.isTrue(cert.verify(caCert.publicKey));
+        assert.isTrue(cert.checkIssued(caCert));
+        assert.equal(cert.subject, `CN=${NAMES[0]}`);
+        assert.equal(cert.subjectAltName, NAMES.map(x => `DNS:${x}`).join(', '));
+        assert.equal(cert.publicKey.export({type: 'spki', format: 'pem'}),
+                     keyPair.publicKey);
+        assert.equal(new Date(cert.validTo).getTime(),
+                     Math.floor(notAfter.getTime() / 1000) * 1000);
+      });
+    });
+  });
+
+  it('issues for wildcard names and IP addresses', function() {
+    let csr = testCA.buildCSR(['*.not-example.com'], ecKeyPair, {
+      altNames: [
+        {type: 2, value: '*.NOT-example.com'},
+        {type: 7, value: '\xc0\x00\x02\x01'},
+        {type: 7, value: Buffer.from('20010db8000000000000000000000001', 'hex').toString('binary')},
+        {type: 2, value: '*.not-example.com'}
+      ]
+    });
+    let cert = issue(csr, {cert: testCA.caCert, key: testCA.caKey});
+    assert.equal(cert.subjectAltName,
+                 'DNS:*.not-example.com, IP Address:192.0.2.1, IP Address:2001:DB8:0:0:0:0:0:1');
+  });
+
+  it('refuses to issue without SANs', function() {
+    let csr = testCA.buildCSR(['not-example.com'], testCA.ecKeyPair(), {altNames: []});
+    assert.throws(() => pki.issueCRT(csr, notBefore, notAfter, testCA.caCert, testCA.caKey),
+                  /no names in a subjectAltName/);
+  });
+
+  it('issues for CSRs made by forge', function() {
+    let cert = issue(testCA.makeCSR(NAMES, rsaKeyPair),
+                     {cert: testCA.caCert, key: testCA.caKey});
+    assert.equal(cert.subjectAltName, NAMES.map(x => `DNS:${x}`).join(', '));
+  });
+
+  it('gives certificates distinct serial numbers', function() {
+    let ca = {cert: testCA.caCert, key: testCA.caKey};
+    let csr = testCA.buildCSR(NAMES, ecKeyPair);
+    let first = pki.certificateInfo(pki.pemToDER(pki.issueCRT(csr, notBefore, notAfter,
+                                                             ca.cert, ca.key)));
+    let second = pki.certificateInfo(issue(csr, ca).raw);
+    assert.notEqual(first.serialNumber, second.serialNumber);
+    [first, second].forEach(info => {
+      // At least 64 random bits, and positive
+      assert.match(info.serialNumber, /^[4-7][0-9a-f]{31}$/);
+    });
+  });
+
+  it('identifies certificates for renewal information', function() {
+    let ca = {cert: testCA.caCert, key: testCA.caKey};
+    let cert = issue(testCA.buildCSR(NAMES, ecKeyPair), ca);
+    let info = pki.certificateInfo(cert.raw);
+    let caInfo = pki.certificateInfo(pki.pemToDER(ca.cert));
+    let keyId = asn1.fromDer(caInfo.extensions['2.5.29.14'].value.toString('binary')).value;
+
+    let parsed = pki.parseRenewalID(pki.renewalID(cert.raw));
+    assert.equal(parsed.serialNumber, info.serialNumber);
+    assert.equal(parsed.authorityKeyId, keyId);
+  });
+
+  it('parses renewal IDs', function() {
+    // From RFC 9773 section 4.1
+    let parsed = pki.parseRenewalID('aYhba4dGQEHhs3uEe6CuLN4ByNQ.AIdlQyE');
+    assert.equal(parsed.serialNumber, '0087654321');
+    assert.equal(forge.util.bytesToHex(parsed.authorityKeyId),
+                 '69885b6b87464041e1b37b847ba0ae2cde01c8d4');
+
+    ['', 'aYhba4dGQEHhs3uEe6CuLN4ByNQ', 'a.b.c', 'aYhba4dGQEHhs3uEe6CuLN4ByNQ.AId/QyE']
+      .forEach(id => assert.throws(() => pki.parseRenewalID(id), /Malformed renewal ID/));
+  });
+
+  it('reports the validity period', function() {
+    let ca = {cert: testCA.caCert, key: testCA.caKey};
+    let info = pki.certificateInfo(issue(testCA.buildCSR(NAMES, ecKeyPair), ca).raw);
+    assert.equal(info.notBefore.getTime(), Math.floor(notBefore.getTime() / 1000) * 1000);
+    assert.equal(info.notAfter.getTime(), Math.floor(notAfter.getTime() / 1000) * 1000);
+  });
+});
@@ -0,0 +1,202 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert            = require('chai').assert;
+const crypto            = require('crypto');
+const net               = require('net');
+const tls               = require('tls');
+const forge             = require('node-forge');
+const TLSALPNValidation = require('../lib/tls-alpn-validation');
+const validate          = require('./tools/validate');
+
+const PORT = 5001;
+const NAME = 'not-example.com';
+const THUMBPRINT = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const ACME_IDENTIFIER = '1.3.6.1.5.5.7.1.31';
+
+const keyPair = crypto.generateKeyPairSync('rsa', {
+  modulusLength:      2048,
+  publicKeyEncoding:  {type: 'spki', format: 'pem'},
+  privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+});
+
+// The SAN for the name a validation is for, which may be an IP address
+function altName(name) {
+  return net.isIP(name)? {type: 7, ip: name} : {type: 2, value: name};
+}
+
+// Self-signed certificate of the form the challenge calls for
+function challengeCert(validation, critical) {
+  let asn1 = forge.asn1;
+  let digest = crypto.createHash('sha256').update(validation.keyAuthorization).digest();
+  let cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(keyPair.publicKey);
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 3600 * 1000);
+  cert.setSubject([]);
+  cert.setIssuer([]);
+  cert.setExtensions([
+    {name: 'subjectAltName', altNames: [altName(validation.name)]},
+    {
+      id:       ACME_IDENTIFIER,
+      critical: critical,
+      value:    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                            digest.toString('binary'))
+    }
+  ]);
+  cert.sign(forge.pki.privateKeyFromPem(keyPair.privateKey), forge.md.sha256.create());
+  return forge.pki.certificateToPem(cert);
+}
+
+let server;
+
+function standIn(cert, protocols) {
+  server = tls.createServer({
+    key:           keyPair.privateKey,
+    cert:          cert,
+    ALPNProtocols: protocols,
+    SNICallback:   (servername, cb) => {
+      server.servername = servername;
+      cb(null, null);
+    }
+  }, socket => socket.end());
+  server.on('tlsClientError', () => {});
+  return new Promise(resolve => server.listen(PORT, resolve));
+}
+
+function validationFor(name) {
+  return new TLSALPNValidation(name, THUMBPRINT, {
+    host: '127.0.0.1',
+    port: PORT
+  });
+}
+
+describe('tls-alpn-01 validation', function() {
+  afterEach(function() {
+    if (server) {
+      server.close();
+      server = null;
+    }
+  });
+
+  it('publishes a token', function() {
+    let obj = validationFor(NAME).toJSON();
+
+    assert.equal(obj.type, 'tls-alpn-01');
+    assert.equal(obj.status, 'pending');
+    assert.match(obj.token, /^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('validates a correct certificate', function(done) {
+    let validation = validationFor(NAME);
+
+    standIn(challengeCert(validation, true), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(server.servername, NAME);
+      assert.equal(validation.status, 'valid');
+      assert.notProperty(validation.toJSON(), 'error');
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('validates an IP address', function(done) {
+    let validation = validationFor('192.0.2.1');
+
+    standIn(challengeCert(validation, true), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(server.servername, '1.2.0.192.in-addr.arpa');
+      assert.equal(validation.status, 'valid');
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('rejects a dNSName for an IP address', function(done) {
+    let validation = validationFor('192.0.2.1');
+    let other = validationFor('not-example.com');
+    other.keyAuthorization = validation.keyAuthorization;
+
+    standIn(challengeCert(other, true), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.match(validation.toJSON().error.title, /single SAN/);
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('rejects a certificate for another key authorization', function(done) {
+    let validation = validationFor(NAME);
+
+    standIn(challengeCert(validationFor(NAME), true), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type,
+                   'urn:ietf:params:acme:error:incorrectResponse');
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('rejects a non-critical acmeIdentifier extension', function(done) {
+    let validation = validationFor(NAME);
+
+    standIn(challengeCert(validation, false), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.equal(validation.toJSON().error.type,
+                   'urn:ietf:params:acme:error:unauthorized');
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('rejects a certificate for another name', function(done) {
+    let validation = validationFor(NAME);
+
+    standIn(challengeCert(validationFor('www.' + NAME), true), ['acme-tls/1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+      assert.match(validation.toJSON().error.title, /single SAN/);
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('rejects a server that does not negotiate acme-tls/1', function(done) {
+    let validation = validationFor(NAME);
+
+    standIn(challengeCert(validation, true), ['http/1.1'])
+    .then(() => validate(validation))
+    .then(() => {
+      assert.equal(validation.status, 'invalid');
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('fails when the server is unreachable', function(done) {
+    let validation = validationFor(NAME);
+
+    validate(validation)
+      .then(() => {
+        assert.equal(validation.status, 'invalid');
+        assert.equal(validation.toJSON().error.type,
+                     'urn:ietf:params:acme:error:connection');
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -23,6 +23,18 @@ class MockClient {
         url:   url
       }));
   }
+
+  // Identifies the key by an account URL, as for requests once the account
+  // exists
+  makeKidJWS(nonce, url, kid, payload) {
+    const jose = new Jose();
+    return this.key()
+      .then(k => jose.sign(k, payload, {
+        nonce: nonce,
+        url:   url,
+        kid:   kid
+      }));
+  }
 };
 
 module.exports = MockClient;
@@ -0,0 +1,200 @@
+'use strict';
+
+const crypto = require('crypto');
+const forge  = require('node-forge');
+
+// Key pairs and certificates for tests that issue certificates
+
+const asn1 = forge.asn1;
+
+// Signature algorithms by key type
+const ALGORITHMS = {
+  rsa: {id: '1.2.840.113549.1.1.11', parameters: true},
+  ec:  {id: '1.2.840.10045.4.3.2', parameters: false}
+};
+
+function rsaKeyPair(bits) {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength:      bits || 2048,
+    publicKeyEncoding:  {type: 'spki', format: 'pem'},
+    privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+  });
+}
+
+function ecKeyPair(curve) {
+  return crypto.generateKeyPairSync('ec', {
+    namedCurve:         curve || 'prime256v1',
+    publicKeyEncoding:  {type: 'spki', format: 'pem'},
+    privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+  });
+}
+
+function base64url(der) {
+  return Buffer.from(der, 'binary').toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function sequence(values) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+}
+
+function set(values) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, values);
+}
+
+function oid(id) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                     asn1.oidToDer(id).getBytes());
+}
+
+function fromPEM(pem) {
+  return asn1.fromDer(forge.pem.decode(pem)[0].body);
+}
+
+// A Name with the given [OID, value] attributes
+function name(attributes) {
+  return sequence(attributes.map(attr => set([sequence([
+    oid(attr[0]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, attr[1])
+  ])])));
+}
+
+function algorithmIdentifier(privateKey) {
+  let algorithm = ALGORITHMS[privateKey.asymmetricKeyType];
+  let parameters = algorithm.parameters?
+    [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')] : [];
+  return sequence([oid(algorithm.id)].concat(parameters));
+}
+
+// Returns [AlgorithmIdentifier, signature BIT STRING] for an object signed
+// with the private key of the pair
+function sign(obj, keyPair, tamper) {
+  let privateKey = crypto.createPrivateKey(keyPair.privateKey);
+  let tbs = Buffer.from(asn1.toDer(obj).getBytes(), 'binary');
+  let signature = crypto.sign('sha256', tbs, privateKey);
+  if (tamper) {
+    signature[signature.length - 1] ^= 1;
+  }
+
+  return [
+    algorithmIdentifier(privateKey),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+                '\x00' + signature.toString('binary'))
+  ];
+}
+
+function extension(id, critical, value) {
+  let fields = [oid(id)];
+  if (critical) {
+    fields.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff'));
+  }
+  fields.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                          asn1.toDer(value).getBytes()));
+  return sequence(fields);
+}
+
+// Returns a self-signed PEM CA certificate for an RSA or EC key pair
+function makeCA(keyPair, commonName) {
+  let subject = name([['2.5.4.3', commonName]]);
+  let now = Date.now();
+  let isCA = sequence([asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff')]);
+  // Any unique value will do for the key identifier
+  let keyID = crypto.createHash('sha1').update(keyPair.publicKey).digest().toString('binary');
+  let tbs = sequence([
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x02')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x01'),
+    algorithmIdentifier(crypto.createPrivateKey(keyPair.privateKey)),
+    subject,
+    sequence([
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false,
+                  asn1.dateToUtcTime(new Date(now))),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false,
+                  asn1.dateToUtcTime(new Date(now + 365 * 24 * 3600 * 1000)))
+    ]),
+    subject,
+    fromPEM(keyPair.publicKey),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 3, true, [sequence([
+      extension('2.5.29.19', true, isCA),
+      // keyCertSign and cRLSign
+      extension('2.5.29.15', true,
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x01\x06')),
+      extension('2.5.29.14', false,
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, keyID))
+    ])])
+  ]);
+
+  let cert = sequence([tbs].concat(sign(tbs, keyPair)));
+  return forge.pem.encode({type: 'CERTIFICATE', body: asn1.toDer(cert).getBytes()});
+}
+
+const caKeyPair = rsaKeyPair();
+const ecCAKeyPair = ecKeyPair();
+
+// Builds a base64url CSR by hand, so that tests can have CSRs for any kind of
+// key, including ones a CA should refuse.  Options:
+// * altNames: SANs as forge {type, value} objects (default: dNSNames)
+// * subject: Subject attributes as [OID, value] pairs (default: the first
+//   name as commonName)
+// * extensions: Extensions besides SAN as {id, value}, with ASN.1 values
+// * attributes: Attributes besides extensionRequest as {id, value}
+// * tamper: Whether to break the signature
+function buildCSR(names, keyPair, options) {
+  options = options || {};
+  let altNames = options.altNames || names.map(x => ({type: 2, value: x}));
+  let subject = options.subject || [['2.5.4.3', names[0]]];
+
+  let extensions = [{
+    id:    '2.5.29.17',
+    value: sequence(altNames.map(x => asn1.create(
+      asn1.Class.CONTEXT_SPECIFIC, x.type, false, x.value)))
+  }].concat(options.extensions || []);
+  let attributes = [{
+    id:    '1.2.840.113549.1.9.14',
+    value: sequence(extensions.map(ext => sequence([
+      oid(ext.id),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                  asn1.toDer(ext.value).getBytes())
+    ])))
+  }].concat(options.attributes || []);
+
+  let info = sequence([
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+    name(subject),
+    fromPEM(keyPair.publicKey),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, attributes.map(attr =>
+      sequence([oid(attr.id), set([attr.value])])))
+  ]);
+
+  let csr = sequence([info].concat(sign(info, keyPair, options.tamper)));
+  return base64url(asn1.toDer(csr).getBytes());
+}
+
+// Returns a base64url CSR for the names, signed with an RSA key pair
+function makeCSR(names, keyPair) {
+  let csr = forge.pki.createCertificationRequest();
+  csr.publicKey = forge.pki.publicKeyFromPem(keyPair.publicKey);
+  csr.setSubject([{name: 'commonName', value: names[0]}]);
+  csr.setAttributes([{
+    name:       'extensionRequest',
+    extensions: [{
+      name:     'subjectAltName',
+      altNames: names.map(x => ({type: 2, value: x}))
+    }]
+  }]);
+  csr.sign(forge.pki.privateKeyFromPem(keyPair.privateKey), forge.md.sha256.create());
+  return base64url(forge.asn1.toDer(forge.pki.certificationRequestToAsn1(csr)).getBytes());
+}
+
+module.exports = {
+  caKey:      caKeyPair.privateKey,
+  caCert:     makeCA(caKeyPair, 'node-acme test CA'),
+  ecCAKey:    ecCAKeyPair.privateKey,
+  ecCACert:   makeCA(ecCAKeyPair, 'node-acme test EC CA'),
+  rsaKeyPair: rsaKeyPair,
+  ecKeyPair:  ecKeyPair,
+  makeCSR:    makeCSR,
+  buildCSR:   buildCSR,
+  base64url:  base64url
+};
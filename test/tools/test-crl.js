@@ -0,0 +1,39 @@
+'use strict';
+
+const forge = require('node-forge');
+
+// Reading CRLs, as a client checking revocation would
+
+const asn1 = forge.asn1;
+
+// Returns the fields of a DER CRL that tests look at
+function parse(der) {
+  let crl = asn1.fromDer(der.toString('binary'), {decodeBitStrings: false});
+  let tbs = crl.value[0];
+  let revoked = tbs.value.filter(x => x.tagClass === asn1.Class.UNIVERSAL &&
+                                      x.type === asn1.Type.SEQUENCE)[2];
+  let extensions = {};
+  tbs.value[tbs.value.length - 1].value[0].value.forEach(ext => {
+    extensions[asn1.derToOid(ext.value[0].value)] = {
+      critical: ext.value.length === 3,
+      value:    asn1.fromDer(ext.value[ext.value.length - 1].value)
+    };
+  });
+
+  return {
+    tbs:        Buffer.from(asn1.toDer(tbs).getBytes(), 'binary'),
+    signature:  Buffer.from(crl.value[2].value.slice(1), 'binary'),
+    version:    tbs.value[0].value,
+    thisUpdate: asn1.utcTimeToDate(tbs.value[3].value),
+    nextUpdate: asn1.utcTimeToDate(tbs.value[4].value),
+    extensions: extensions,
+    entries:    (revoked ? revoked.value : []).map(entry => ({
+      serialNumber: forge.util.bytesToHex(entry.value[0].value),
+      reason:       entry.value[2] && asn1.fromDer(entry.value[2].value[0].value[1].value).value
+    }))
+  };
+}
+
+module.exports = {
+  parse: parse
+};
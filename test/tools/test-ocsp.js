@@ -0,0 +1,88 @@
+'use strict';
+
+const crypto = require('crypto');
+const forge  = require('node-forge');
+const pki    = require('../../lib/pki');
+
+// OCSP requests and responses, as a client such as a TLS server would make
+// and read them
+
+const asn1 = forge.asn1;
+const OID_NONCE = '1.3.6.1.5.5.7.48.1.2';
+
+function sequence(values) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+}
+
+function octets(bytes) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytes);
+}
+
+function oid(id) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                     asn1.oidToDer(id).getBytes());
+}
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest().toString('binary');
+}
+
+// SHA-1 of a certificate's subjectPublicKey, as OCSP uses to identify keys
+function keyHash(pem) {
+  let spki = pki.certificateInfo(pki.pemToDER(pem)).publicKey;
+  let info = asn1.fromDer(spki.toString('binary'), {decodeBitStrings: false});
+  return sha1(Buffer.from(info.value[1].value.slice(1), 'binary'));
+}
+
+// Returns a DER OCSPRequest for serial numbers from the CA certificate
+function request(caCert, serialNumbers, nonce) {
+  let ca = pki.certificateInfo(pki.pemToDER(caCert));
+
+  let requests = serialNumbers.map(serial => sequence([sequence([
+    sequence([oid('1.3.14.3.2.26'), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')]),
+    octets(sha1(ca.subject)),
+    octets(keyHash(caCert)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(serial))
+  ])]));
+
+  let tbs = [sequence(requests)];
+  if (nonce) {
+    tbs.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [sequence([
+      sequence([oid(OID_NONCE), octets(asn1.toDer(octets(nonce)).getBytes())])
+    ])]));
+  }
+  return Buffer.from(asn1.toDer(sequence([sequence(tbs)])).getBytes(), 'binary');
+}
+
+// Returns the response status and, for successful responses, the parts of
+// the BasicOCSPResponse
+function parseResponse(der) {
+  let response = asn1.fromDer(der.toString('binary'));
+  let status = response.value[0].value.charCodeAt(0);
+  if (!response.value[1]) {
+    return {status: status};
+  }
+
+  let basic = asn1.fromDer(response.value[1].value[0].value[1].value, {decodeBitStrings: false});
+  let tbs = basic.value[0];
+  let responses = tbs.value.filter(x => x.tagClass === asn1.Class.UNIVERSAL &&
+                                        x.type === asn1.Type.SEQUENCE)[0];
+  let extensions = tbs.value.filter(x => x.tagClass === asn1.Class.CONTEXT_SPECIFIC &&
+                                         x.type === 1)[0];
+  return {
+    status:      status,
+    tbs:         Buffer.from(asn1.toDer(tbs).getBytes(), 'binary'),
+    responderID: tbs.value[0].value[0].value,
+    statuses:    responses.value.map(single => single.value[1]),
+    extensions:  extensions && extensions.value[0].value,
+    signature:   Buffer.from(basic.value[2].value.slice(1), 'binary'),
+    certs:       basic.value[3] && basic.value[3].value[0].value
+  };
+}
+
+module.exports = {
+  OID_NONCE:     OID_NONCE,
+  keyHash:       keyHash,
+  request:       request,
+  parseResponse: parseResponse
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const ValidationQueue = require('../../lib/validation-queue');
+
+// Validates a challenge in one go, as the server does once a client responds
+// to it, resolving once it is valid or invalid
+function validate(challenge) {
+  challenge.start({});
+  return new ValidationQueue().push(challenge);
+}
+
+module.exports = validate;
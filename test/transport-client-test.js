@@ -75,6 +75,22 @@ describe('transport-level client', function() {
       .catch(() => { done(); });
   });
 
+  it('waits as long as Retry-After asks when polling', function(done) {
+    let test = (body => (body.status === 'valid'));
+    let start = Date.now();
+    nock('http://example.com')
+      .get('/foo').reply(200, {status: 'processing'}, {'retry-after': '1'})
+      .get('/foo').reply(200, {status: 'valid'});
+
+    TransportClient.poll('http://example.com/foo', test, 2, 10)
+      .then(body => {
+        assert.ok(test(body));
+        assert.isAtLeast(Date.now() - start, 1000);
+        done();
+      })
+      .catch(done);
+  });
+
   it('sends a POST with no preflight', function(done) {
     let gotHEAD = false;
     let gotPOST = false;
@@ -111,6 +127,33 @@ describe('transport-level client', function() {
       .catch(done);
   });
 
+  it('sends a POST with the account URL as key ID', function(done) {
+    let key;
+    let kid = 'http://example.com/reg/1';
+    nock('http://example.com')
+      .post('/foo').reply((uri, jws, cb) => {
+        jose.verify(jws, () => key)
+        .then(result => {
+          assert.equal(result.header.kid, kid);
+          assert.notProperty(result.header, 'jwk');
+          cb(null, [200, '']);
+        })
+        .catch(err => {
+          cb(null, [400, err.message]);
+        });
+      });
+
+    jose.newkey()
+      .then(k => {
+        key = k;
+        let client = new TransportClient({accountKey: k, accountURL: kid});
+        client.nonces.push('foo');
+        return client.post('http://example.com/foo', {'foo': 'bar'});
+      })
+      .then(() => done())
+      .catch(done);
+  });
+
   it('sends a POST with preflight', function(done) {
     let gotHEAD = false;
     let gotPOST = false;
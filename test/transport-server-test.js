@@ -86,6 +86,47 @@ describe('transport-level server', function() {
     });
   });
 
+  it('resolves a kid to a key', function(done) {
+    let kids = [];
+    let server = new TransportServer('ietf-draft', kid => {
+      kids.push(kid);
+      return mockClient.key();
+    });
+    let nonce = server.nonces.get();
+
+    server.app.post('/foo', (req, res) => {
+      res.json({kid: req.protectedHeader.kid});
+    });
+
+    mockClient.makeKidJWS(nonce, 'http://127.0.0.1/foo', 'http://127.0.0.1/reg/1', {})
+      .then(jws => request(server.app).post('/foo').send(jws))
+      .then(res => {
+        assert.equal(res.status, 200);
+        assert.deepEqual(kids, ['http://127.0.0.1/reg/1']);
+        assert.deepEqual(res.body, {kid: 'http://127.0.0.1/reg/1'});
+        done();
+      })
+      .catch(done);
+  });
+
+  it('reports the error type for a kid that does not resolve', function(done) {
+    let server = new TransportServer('ietf-draft', () => {
+      let err = new Error('No such account');
+      err.type = 'accountDoesNotExist';
+      throw err;
+    });
+    let nonce = server.nonces.get();
+
+    mockClient.makeKidJWS(nonce, 'http://127.0.0.1/foo', 'http://127.0.0.1/reg/1', {})
+      .then(jws => request(server.app).post('/foo').send(jws))
+      .then(res => {
+        assert.equal(res.status, 400);
+        assert.equal(res.body.type, 'urn:ietf:params:acme:error:accountDoesNotExist');
+        done();
+      })
+      .catch(done);
+  });
+
   it('provides a nonce for GET requests', function(done) {
     let server = new TransportServer();
     request(server.app)
@@ -0,0 +1,123 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert          = require('chai').assert;
+const Validation      = require('../lib/validation');
+const ValidationQueue = require('../lib/validation-queue');
+
+const THUMBPRINT = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+// Fails the given number of times before succeeding
+class CountingValidation extends Validation {
+  constructor(failures) {
+    super('not-example.com', THUMBPRINT);
+    this.failures = failures;
+    this.attempts = 0;
+  }
+
+  validate() {
+    this.attempts += 1;
+    if (this.attempts <= this.failures) {
+      throw Validation.failure('connection', `Attempt ${this.attempts} failed`);
+    }
+  }
+}
+
+describe('validation queue', function() {
+  it('validates a started challenge', function(done) {
+    let queue = new ValidationQueue();
+    let challenge = new CountingValidation(0);
+
+    assert.isTrue(challenge.start({}));
+    assert.isFalse(challenge.start({}));
+    assert.equal(challenge.status, 'processing');
+
+    queue.push(challenge)
+      .then(() => {
+        assert.equal(challenge.status, 'valid');
+        assert.equal(challenge.attempts, 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('gives up without retries by default', function(done) {
+    let queue = new ValidationQueue();
+    let challenge = new CountingValidation(1);
+
+    challenge.start({});
+    queue.push(challenge)
+      .then(() => {
+        assert.equal(challenge.status, 'invalid');
+        assert.equal(challenge.attempts, 1);
+        assert.equal(challenge.toJSON().error.title, 'Attempt 1 failed');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('retries with backoff', function(done) {
+    let queue = new ValidationQueue({retries: 2, retryDelay: 20});
+    let challenge = new CountingValidation(2);
+    let start = Date.now();
+
+    challenge.start({});
+    let result = queue.push(challenge);
+    setTimeout(() => {
+      assert.equal(challenge.status, 'processing');
+      assert.equal(challenge.attempts, 1);
+      assert.instanceOf(challenge.retryAt, Date);
+      assert.equal(queue.retryAfter(challenge), 1);
+    }, 5);
+
+    result
+      .then(() => {
+        assert.equal(challenge.status, 'valid');
+        assert.equal(challenge.attempts, 3);
+        assert.isAtLeast(Date.now() - start, 20 + 40);
+        assert.notProperty(challenge.toJSON(), 'error');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('fails once retries are exhausted', function(done) {
+    let queue = new ValidationQueue({retries: 1, retryDelay: 10});
+    let challenge = new CountingValidation(5);
+
+    challenge.start({});
+    queue.push(challenge)
+      .then(() => {
+        assert.equal(challenge.status, 'invalid');
+        assert.equal(challenge.attempts, 2);
+        assert.equal(challenge.toJSON().error.title, 'Attempt 2 failed');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('limits concurrency and drains', function(done) {
+    let queue = new ValidationQueue({concurrency: 2, retries: 1, retryDelay: 10});
+    let challenges = [0, 1, 0, 1].map(n => new CountingValidation(n));
+    let maxActive = 0;
+
+    challenges.forEach(challenge => {
+      challenge.start({});
+      queue.push(challenge);
+      maxActive = Math.max(maxActive, queue.active);
+    });
+
+    queue.drain()
+      .then(() => {
+        assert.equal(maxActive, 2);
+        challenges.forEach(challenge => assert.equal(challenge.status, 'valid'));
+        return queue.drain();
+      })
+      .then(() => done())
+      .catch(done);
+  });
+});
@@ -0,0 +1,103 @@
+// Copyright 2015 ISRG.  All rights reserved
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+'use strict';
+
+const assert             = require('chai').assert;
+const Validation         = require('../lib/validation');
+const HTTPValidation     = require('../lib/http-validation');
+const ValidationRegistry = require('../lib/validation-registry');
+const validate           = require('./tools/validate');
+
+const NAME = 'not-example.com';
+const THUMBPRINT = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+class CustomValidation extends Validation {
+  validate() {
+    return Promise.resolve();
+  }
+}
+
+describe('validation registry', function() {
+  it('knows the built-in challenge types', function() {
+    let registry = new ValidationRegistry();
+    assert.sameMembers(registry.types(),
+                       ['http-01', 'dns-01', 'tls-alpn-01', 'auto']);
+  });
+
+  it('creates challenges for enabled types only', function() {
+    let registry = new ValidationRegistry();
+    let challenges = registry.create({
+      'http-01':     {port: 5002},
+      'dns-01':      false,
+      'tls-alpn-01': true
+    }, NAME, THUMBPRINT);
+
+    assert.deepEqual(challenges.map(x => x.type), ['http-01', 'tls-alpn-01']);
+    assert.instanceOf(challenges[0], HTTPValidation);
+    assert.equal(challenges[0].port, 5002);
+    assert.deepEqual(challenges[1].options, {});
+    assert.notEqual(challenges[0].token, challenges[1].token);
+  });
+
+  it('registers custom challenge types', function(done) {
+    let registry = new ValidationRegistry();
+    registry.register('custom-01', CustomValidation);
+    assert.isTrue(registry.has('custom-01'));
+
+    let challenges = registry.create({'custom-01': {foo: 'bar'}}, NAME, THUMBPRINT);
+    assert.lengthOf(challenges, 1);
+    assert.equal(challenges[0].type, 'custom-01');
+    assert.deepEqual(challenges[0].options, {foo: 'bar'});
+
+    validate(challenges[0])
+      .then(() => {
+        assert.equal(challenges[0].toJSON().status, 'valid');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('replaces and removes challenge types', function() {
+    let registry = new ValidationRegistry();
+    registry.register('http-01', CustomValidation);
+    let challenges = registry.create({'http-01': true}, NAME, THUMBPRINT);
+    assert.instanceOf(challenges[0], CustomValidation);
+    assert.equal(challenges[0].type, 'http-01');
+
+    registry.unregister('http-01');
+    assert.isFalse(registry.has('http-01'));
+  });
+
+  it('creates only challenges that can validate the identifier', function() {
+    let registry = new ValidationRegistry();
+    registry.register('custom-01', CustomValidation);
+    let policy = {
+      'http-01':     true,
+      'dns-01':      true,
+      'tls-alpn-01': true,
+      'auto':        true,
+      'custom-01':   true
+    };
+    let types = name => registry.create(policy, name, THUMBPRINT).map(x => x.type);
+
+    assert.deepEqual(types(NAME), ['http-01', 'dns-01', 'tls-alpn-01', 'auto', 'custom-01']);
+    assert.deepEqual(types('*.' + NAME), ['dns-01']);
+    assert.deepEqual(types('192.0.2.1'), ['http-01', 'tls-alpn-01', 'auto']);
+    assert.deepEqual(types('2001:db8::1'), ['http-01', 'tls-alpn-01', 'auto']);
+  });
+
+  it('rejects unknown challenge types', function() {
+    let registry = new ValidationRegistry();
+    assert.throws(() => registry.create({'custom-01': true}, NAME, THUMBPRINT),
+                  /custom-01/);
+  });
+
+  it('rejects malformed registrations', function() {
+    let registry = new ValidationRegistry();
+    assert.throws(() => registry.register('', CustomValidation), TypeError);
+    assert.throws(() => registry.register('custom-01', {}), TypeError);
+  });
+});